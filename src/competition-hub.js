@@ -11,11 +11,97 @@
  */
 
 import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
 import path from 'path';
 import { logLearningModeStatus } from './utils/learning-mode.js';
 import { parseV2Database } from './protocol/parser-v2.js';
 import { logger } from './utils/logger.js';
 import { extractTimers, computeDisplayMode, extractDecisionState } from './utils/timer-decision-helpers.js';
+import { readSnapshot, writeSnapshot, deleteSnapshot } from './utils/snapshot-store.js';
+import { MessageJournal } from './utils/message-journal.js';
+import { diffJson, applyJsonPatch } from './utils/json-patch.js';
+import { LiftLog } from './utils/lift-log.js';
+import { SESSION_PHASES, inferSessionPhase } from './utils/session-lifecycle.js';
+import { computeTeamRankings } from './scoring/team-rankings.js';
+import { computeMedalTable } from './scoring/medal-table.js';
+import { computeCategoryRankings } from './scoring/category-rankings.js';
+import { computeTargets } from './scoring/targets.js';
+import { projectStandings, seededRandom } from './scoring/projections.js';
+import { computeLiftingOrder, compareLiftingOrders, requestedWeightOf } from './utils/lifting-order.js';
+import { queryAthletes } from './utils/athlete-query.js';
+import { formatMessageForLocale } from './utils/message-format.js';
+import { readTranslationOverrides, sanitizeOverrideMap, normalizeOverrideLocale } from './utils/translation-overrides.js';
+import { normalizeSession, compareSessions, findCurrentAndNextSession } from './utils/session-schedule.js';
+import { EVENT_REGISTRY, isRegisteredEvent, isDeprecatedEventName, resolveEventName } from './utils/event-registry.js';
+import { MetricsRegistry, DEFAULT_SIZE_BUCKETS } from './utils/prometheus-metrics.js';
+
+// FOP patch history is kept while delta subscribers exist or getFopUpdateDiff() was called this recently
+const FOP_HISTORY_IDLE_MS = 10 * 60 * 1000;
+
+// Termination signals that write a final snapshot (the 'exit' event does not fire on them)
+const SNAPSHOT_SIGNALS = ['SIGTERM', 'SIGINT'];
+
+// Hubs with snapshot persistence enabled. One process listener per event serves all of them,
+// so several hubs neither pile up listeners nor mistake each other for an application handler.
+const snapshotHubs = new Set();
+
+function saveAllSnapshots() {
+  for (const hub of snapshotHubs) {
+    hub.saveSnapshot();
+  }
+}
+
+function onSnapshotSignal(signal) {
+  saveAllSnapshots();
+  removeSnapshotSignalHandlers();
+  // Listening to a signal disables Node's default exit: restore it unless the application handles the signal
+  if (process.listenerCount(signal) === 0) {
+    process.kill(process.pid, signal);
+  }
+}
+
+function removeSnapshotSignalHandlers() {
+  for (const signal of SNAPSHOT_SIGNALS) {
+    process.removeListener(signal, onSnapshotSignal);
+  }
+}
+
+function watchSnapshotHub(hub) {
+  snapshotHubs.add(hub);
+  if (!process.listeners('exit').includes(saveAllSnapshots)) {
+    process.on('exit', saveAllSnapshots);
+  }
+  for (const signal of SNAPSHOT_SIGNALS) {
+    if (!process.listeners(signal).includes(onSnapshotSignal)) {
+      process.on(signal, onSnapshotSignal);
+    }
+  }
+}
+
+function unwatchSnapshotHub(hub) {
+  snapshotHubs.delete(hub);
+  if (snapshotHubs.size === 0) {
+    process.removeListener('exit', saveAllSnapshots);
+    removeSnapshotSignalHandlers();
+  }
+}
+
+// FOP state fields _rebuildDerivedState() reads: a timer or decision message carrying none of them
+// leaves the resolved orders alone, so only its own fields need diffing (see _recordFopDelta)
+const DERIVED_STATE_INPUTS = ['sessionAthletes', 'currentAthleteKey', 'startOrderKeys', 'startOrderAthletes',
+  'liftingOrderKeys', 'liftingOrderAthletes', 'leaders'];
+
+// Payload fields holding the OWLCMS_UPDATEKEY secret, never written to the journal
+const JOURNAL_SECRET_FIELDS = ['updateKey', 'update_key', 'updatekey'];
+
+// What happens when a subscriber queue is full (see subscribe())
+const SUBSCRIBER_OVERFLOW_POLICIES = ['drop-oldest', 'collapse', 'disconnect'];
+
+// Distinct uiEvent label values in the Prometheus message counter; later ones are counted as 'other'
+const MAX_UI_EVENT_LABELS = 50;
+
+// Distinct missing translation keys tracked across all locales (see getMissingTranslationKeys())
+const MAX_MISSING_TRANSLATION_KEYS = 2000;
 
 export class CompetitionHub extends EventEmitter {
   constructor() {
@@ -39,11 +125,20 @@ export class CompetitionHub extends EventEmitter {
     this.lastDatabaseLoad = 0; // Timestamp of last successful database load
     this.databaseRequested = 0; // Timestamp when database was requested via 428 (to prevent duplicate 428s)
     this.subscribers = new Set();
+    this._subscriptions = new Map(); // Structure: { callback: { id, fops, types, locale, deltas, queue, ... } }
+    this._subscriptionCounter = 0;
     this.metrics = {
       activeClients: 0,
       messagesReceived: 0,
-      messagesBroadcast: 0
+      messagesBroadcast: 0,
+      messagesCoalesced: 0, // Broadcasts superseded by a newer message of the same FOP and event type
+      messagesDropped: 0,   // Messages discarded from full subscriber queues (drop-oldest)
+      messagesCollapsed: 0, // Messages merged into a newer one in full subscriber queues (collapse)
+      slowConsumersDisconnected: 0
     };
+    // Detailed metrics in Prometheus format (see getPrometheusMetrics()); kept across refresh()
+    this._prometheus = this._createPrometheusMetrics();
+    this._uiEventLabels = new Set(); // uiEvent values admitted as label values (see _messageLabels)
 
     this.lastDatabaseChecksum = null;
     this._hasConfirmedFops = false;
@@ -64,6 +159,14 @@ export class CompetitionHub extends EventEmitter {
 
     // Per-FOP version counters for cache invalidation
     this._fopVersions = {};
+    // Identity of this hub instance: versions restart at 0 in a new process, so clients pair them with it
+    this._runId = randomUUID();
+
+    // Recent per-FOP patches for delta broadcasts and getFopUpdateDiff
+    this.fopHistoryLimit = 100; // Versions kept per FOP; older clients get the full state
+    this._fopHistory = {};      // Structure: { fopName: [{ fromVersion, version, patch }] }
+    this._fopBaselines = {};    // Plain copy of each FOP state at its current version
+    this._fopHistoryRequestedAt = 0; // Last getFopUpdateDiff() call; history is only recorded while it is used
 
     // Protocol validation status (used to surface protocol mismatch to UIs)
     // Shape: { timestamp, received, minimum, reason, source }
@@ -72,14 +175,57 @@ export class CompetitionHub extends EventEmitter {
     // Injected callback for requesting resources from OWLCMS (set by websocket-server)
     this._requestResourcesCallback = null;
     
-    // Debounce state for broadcasts - per FOP and event type
+    // Coalescing state for broadcasts - per FOP and event type
+    // Within a window only the most recent message of a key is kept and delivered when the window ends
     this.lastBroadcastTime = {};  // Structure: { 'fopName-eventType': timestamp }
-    this.broadcastDebounceMs = 100; // Minimum time between identical broadcasts
+    this.broadcastDebounceMs = 100; // Default window between identical broadcasts
+    this.broadcastWindowsMs = {};   // Per event type overrides, e.g. { LiftingOrderUpdated: 250, timer: 0 }
+    this._pendingBroadcasts = new Map(); // Structure: { 'fopName-eventType': { message, timer } }
     
     // Translation map cache - per locale (initially "en", supporting up to 26 locales)
     // Structure: { 'en': { 'Start': 'Start', 'Total': 'Total', ... }, 'fr': {...}, ... }
     this.translations = {};
     this.lastTranslationsChecksum = null;  // Track checksum to avoid reprocessing identical translations
+    // Tracker-local overrides on top of the OWLCMS translations, kept across refresh().
+    // Layers in precedence order: 'files' (loadTranslationOverrides) then 'api' (setTranslationOverrides).
+    // Structure: { files: { 'fr': { key: text } }, api: { 'fr-CA': {...} } }
+    this._translationOverrides = { files: {}, api: {} };
+    this._translationOverridesRevision = 0;
+    // OWLCMS map -> Map(override sources -> { revision, map }); bounded by the locales that exist, not by the ones requested
+    this._translationViews = new WeakMap();
+    this._missingTranslations = new Map(); // locale -> Map(key -> { count, firstSeen, lastSeen })
+
+    // Snapshot persistence (see enableSnapshots/saveSnapshot/restoreSnapshot)
+    this._snapshotDir = null;
+    this._snapshotTimer = null;
+    this._snapshotSignature = null; // Signature of the last saved state, to skip identical writes
+    this._snapshotChecksum = null; // Database checksum of a restored snapshot, pending confirmation by OWLCMS
+
+    // Inbound message journal (see enableJournal)
+    this._journal = null;
+
+    // Every decided attempt per FOP (see getLiftLog); kept across refresh() and saved in snapshots
+    this._liftLog = new LiftLog();
+
+    // Opt-in cross-check of the OWLCMS lifting order against the IWF rules (see checkLiftingOrder)
+    this.verifyLiftingOrder = process.env.TRACKER_VERIFY_LIFTING_ORDER === 'true';
+    this._liftingOrderMismatches = {}; // Structure: { fopName: signature of the last reported mismatch }
+
+    // Event names (see utils/event-registry.js)
+    // Deprecated aliases are emitted alongside canonical names until TRACKER_LEGACY_EVENTS=false
+    this.emitDeprecatedEventNames = process.env.TRACKER_LEGACY_EVENTS !== 'false';
+    // Dev mode: warn once per unregistered event emitted and per deprecated name listened to
+    this.checkEventNames = process.env.NODE_ENV !== 'production';
+    this._warnedEventNames = new Set();
+    this.on('newListener', (eventName) => {
+      if (this.checkEventNames && isDeprecatedEventName(eventName)) {
+        this._warnEventNameOnce(eventName, `[Hub] Event '${eventName}' is deprecated, listen to '${resolveEventName(eventName)}' instead`);
+      }
+    });
+
+    // Cleanup callbacks run by dispose() (e.g. WebSocket endpoints bound to this hub)
+    this._disposeHooks = new Set();
+    this._disposed = false;
     
     // Log learning mode status on startup (logging moved to hooks.server.js)
     logLearningModeStatus();
@@ -88,6 +234,44 @@ export class CompetitionHub extends EventEmitter {
     logger.log('[Hub] Competition Hub initialized');
   }
 
+  /**
+   * Emit a registered event under its canonical name, then under its deprecated aliases
+   * (while emitDeprecatedEventNames is true) so listeners of the old names keep working.
+   * @param {string} eventName - Canonical event name (see EVENT_REGISTRY)
+   * @param {object} [payload] - Event payload
+   * @returns {boolean} true if any listener was called
+   */
+  emitEvent(eventName, payload) {
+    let handled = payload === undefined ? this.emit(eventName) : this.emit(eventName, payload);
+    if (this.emitDeprecatedEventNames) {
+      for (const alias of EVENT_REGISTRY[eventName]?.aliases || []) {
+        handled = (payload === undefined ? this.emit(alias) : this.emit(alias, payload)) || handled;
+      }
+    }
+    return handled;
+  }
+
+  /**
+   * EventEmitter.emit with a dev-mode check that the event is registered
+   */
+  emit(eventName, ...args) {
+    if (this.checkEventNames && !isRegisteredEvent(eventName)) {
+      this._warnEventNameOnce(eventName, `[Hub] Emitting unregistered event '${String(eventName)}' - add it to utils/event-registry.js`);
+    }
+    return super.emit(eventName, ...args);
+  }
+
+  /**
+   * @private
+   */
+  _warnEventNameOnce(eventName, message) {
+    if (this._warnedEventNames.has(eventName)) {
+      return;
+    }
+    this._warnedEventNames.add(eventName);
+    logger.warn(message);
+  }
+
   /**
    * Get the most recent protocol error, if any.
    * @returns {object|null}
@@ -118,7 +302,7 @@ export class CompetitionHub extends EventEmitter {
     };
 
     // Global event (no FOP)
-    this.emit('protocol_error', this._protocolError);
+    this.emitEvent('protocol:error', this._protocolError);
   }
 
   /**
@@ -130,7 +314,7 @@ export class CompetitionHub extends EventEmitter {
     }
 
     this._protocolError = null;
-    this.emit('protocol_ok', { timestamp: Date.now() });
+    this.emitEvent('protocol:ok', { timestamp: Date.now() });
   }
 
   /**
@@ -180,6 +364,357 @@ export class CompetitionHub extends EventEmitter {
     this._requestResourcesCallback = callback;
   }
 
+  /**
+   * Register a cleanup callback run by dispose()
+   * Used by the WebSocket server to detach its endpoint from this hub.
+   * @param {Function} hook - Cleanup callback
+   * @returns {Function} Function that removes the hook again
+   */
+  addDisposeHook(hook) {
+    if (typeof hook !== 'function') {
+      return () => {};
+    }
+    this._disposeHooks.add(hook);
+    return () => this._disposeHooks.delete(hook);
+  }
+
+  /**
+   * Detach everything bound to this hub: WebSocket endpoints, snapshot timer
+   * (a final snapshot is written), journal, subscribers and event listeners.
+   * The hub must not be used afterwards.
+   */
+  dispose() {
+    if (this._disposed) {
+      return;
+    }
+    this._disposed = true;
+
+    for (const hook of [...this._disposeHooks]) {
+      try {
+        hook();
+      } catch (error) {
+        logger.error('[Hub] Error in dispose hook:', error);
+      }
+    }
+    this._disposeHooks.clear();
+
+    this.disableSnapshots();
+    this.disableJournal();
+    this._cancelPendingBroadcasts();
+    this.subscribers.clear();
+    this._subscriptions.clear();
+    this.metrics.activeClients = 0;
+    this._requestResourcesCallback = null;
+    this.removeAllListeners();
+    logger.log('[Hub] Competition Hub disposed');
+  }
+
+  /**
+   * @returns {boolean} true once dispose() has been called
+   */
+  isDisposed() {
+    return this._disposed;
+  }
+
+  /**
+   * Enable snapshot persistence: restore the last snapshot and start periodic writes.
+   * A final snapshot is also written when the process exits, including on SIGTERM and SIGINT.
+   * @param {object} params
+   * @param {string} params.snapshotDir - Directory holding hub-snapshot.json
+   * @param {number} [params.intervalMs=30000] - Periodic write interval (0 disables periodic writes)
+   * @param {boolean} [params.restore=true] - Rehydrate from an existing snapshot
+   * @returns {boolean} true if a snapshot was restored
+   */
+  enableSnapshots({ snapshotDir, intervalMs = 30000, restore = true } = {}) {
+    if (!snapshotDir || typeof snapshotDir !== 'string') {
+      throw new Error('enableSnapshots requires snapshotDir option');
+    }
+
+    this.disableSnapshots({ save: false });
+    this._snapshotDir = path.resolve(snapshotDir);
+    logger.info(`[Hub] Snapshot persistence enabled: ${this._snapshotDir} (every ${intervalMs}ms)`);
+
+    const restored = restore ? this.restoreSnapshot().restored : false;
+
+    if (intervalMs > 0) {
+      this._snapshotTimer = setInterval(() => this.saveSnapshot(), intervalMs);
+      // Periodic snapshots must not keep the process alive
+      this._snapshotTimer.unref?.();
+    }
+    watchSnapshotHub(this);
+
+    return restored;
+  }
+
+  /**
+   * Stop periodic snapshot writes
+   * @param {object} [params]
+   * @param {boolean} [params.save=true] - Write a final snapshot before stopping
+   */
+  disableSnapshots({ save = true } = {}) {
+    if (!this._snapshotDir) {
+      return;
+    }
+    if (save) {
+      this.saveSnapshot();
+    }
+    if (this._snapshotTimer) {
+      clearInterval(this._snapshotTimer);
+      this._snapshotTimer = null;
+    }
+    unwatchSnapshotHub(this);
+    this._snapshotDir = null;
+    this._snapshotSignature = null;
+  }
+
+  /**
+   * Get configured snapshot directory (null when persistence is disabled)
+   * @returns {string|null}
+   */
+  getSnapshotDir() {
+    return this._snapshotDir;
+  }
+
+  /**
+   * True while a restored snapshot has not yet been confirmed by a database from OWLCMS
+   * @returns {boolean}
+   */
+  hasPendingSnapshot() {
+    return this._snapshotChecksum !== null;
+  }
+
+  /**
+   * Write the current hub state to the snapshot directory.
+   * Skipped when no database is loaded (so a refresh never overwrites a good snapshot)
+   * or when nothing changed since the last write.
+   * @returns {{ saved: boolean, path?: string, reason?: string }}
+   */
+  saveSnapshot() {
+    if (!this._snapshotDir) {
+      return { saved: false, reason: 'snapshots_disabled' };
+    }
+    if (!this.databaseState) {
+      return { saved: false, reason: 'no_database' };
+    }
+
+    const signature = [
+      this.lastDatabaseChecksum,
+      this.databaseState.lastUpdate,
+      JSON.stringify(this._fopVersions),
+      this.lastTranslationsChecksum,
+      Object.keys(this.translations).length,
+      this._liftLog.revision
+    ].join('|');
+    if (signature === this._snapshotSignature) {
+      return { saved: false, reason: 'unchanged' };
+    }
+
+    try {
+      const fopUpdates = {};
+      for (const [fopName, update] of Object.entries(this.fopUpdates)) {
+        fopUpdates[fopName] = this._stripDerivedFields(update);
+      }
+
+      const filePath = writeSnapshot(this._snapshotDir, {
+        savedAt: Date.now(),
+        databaseChecksum: this.lastDatabaseChecksum || this.databaseState.databaseChecksum || null,
+        databaseState: this.databaseState,
+        fopUpdates,
+        fopSessionStatus: this.fopSessionStatus,
+        fopVersions: this._fopVersions,
+        translations: this.translations,
+        translationsChecksum: this.lastTranslationsChecksum,
+        liftLog: this._liftLog.toJSON()
+      });
+      this._snapshotSignature = signature;
+      logger.debug(`[Hub] Snapshot saved: ${filePath}`);
+      return { saved: true, path: filePath };
+    } catch (error) {
+      logger.error('[Hub] Failed to save snapshot:', error.message);
+      return { saved: false, reason: 'write_error', error: error.message };
+    }
+  }
+
+  /**
+   * Rehydrate hub state from the snapshot directory.
+   * The restored state stays provisional until OWLCMS sends its database: a matching
+   * checksum keeps it, a different checksum discards it (see _reconcileSnapshot).
+   * @returns {{ restored: boolean, reason?: string, databaseChecksum?: string|null }}
+   */
+  restoreSnapshot() {
+    if (!this._snapshotDir) {
+      return { restored: false, reason: 'snapshots_disabled' };
+    }
+
+    const snapshot = readSnapshot(this._snapshotDir);
+    if (!snapshot || !snapshot.databaseState) {
+      return { restored: false, reason: 'no_snapshot' };
+    }
+
+    this.databaseState = snapshot.databaseState;
+    this.state = this.databaseState;
+    this.lastDatabaseChecksum = snapshot.databaseChecksum || null;
+    this.lastDatabaseLoad = 0;
+    this._reindexDatabaseAthletes();
+
+    this.fopUpdates = snapshot.fopUpdates || {};
+    for (const fopName of Object.keys(this.fopUpdates)) {
+      this._rebuildDerivedState(fopName);
+    }
+    this.fopSessionStatus = snapshot.fopSessionStatus || {};
+    if (snapshot.liftLog) {
+      this._liftLog.load(snapshot.liftLog);
+    }
+    this._fopVersions = snapshot.fopVersions || {};
+    // Patches recorded before the restore do not apply to the restored state
+    this._fopHistory = {};
+    this._fopBaselines = {};
+    for (const subscription of this._subscriptions.values()) {
+      subscription.deltaVersions = {};
+    }
+    // Bump versions so plugin caches built before the restart are not reused
+    for (const fopName of Object.keys(this.fopUpdates)) {
+      this._incrementFopVersion(fopName);
+    }
+
+    this.translations = snapshot.translations || {};
+    this.lastTranslationsChecksum = snapshot.translationsChecksum || null;
+    this.translationsReady = Object.keys(this.translations).length > 0;
+
+    this._hasConfirmedFops = Object.keys(this.fopUpdates).length > 0;
+    this._snapshotChecksum = this.lastDatabaseChecksum || '';
+    this._snapshotSignature = null;
+
+    const ageSeconds = Math.round((Date.now() - (snapshot.savedAt || 0)) / 1000);
+    logger.info(`[Hub] ♻️ Snapshot restored (${ageSeconds}s old): ${this.databaseState.athletes?.length || 0} athletes, ${Object.keys(this.fopUpdates).length} FOPs, ${Object.keys(this.translations).length} locales`);
+
+    this.emitEvent('snapshot:restored', {
+      savedAt: snapshot.savedAt || null,
+      databaseChecksum: this.lastDatabaseChecksum,
+      timestamp: Date.now()
+    });
+    this.emitEvent('database:ready', { timestamp: Date.now() });
+    if (this.isReady()) {
+      this.emitEvent('hub:ready', {
+        message: 'Hub ready - restored from snapshot',
+        timestamp: Date.now()
+      });
+    }
+
+    return { restored: true, databaseChecksum: this.lastDatabaseChecksum };
+  }
+
+  /**
+   * Decide whether restored snapshot state survives the first database from OWLCMS.
+   * Same checksum: keep everything. Different or missing checksum: drop the snapshot.
+   * @private
+   * @param {string|null} incomingChecksum - Checksum of the database OWLCMS just sent
+   */
+  _reconcileSnapshot(incomingChecksum) {
+    const snapshotChecksum = this._snapshotChecksum;
+    this._snapshotChecksum = null;
+
+    if (incomingChecksum && snapshotChecksum && incomingChecksum === snapshotChecksum) {
+      logger.info(`[Hub] Snapshot confirmed by OWLCMS (checksum ${incomingChecksum})`);
+      return;
+    }
+
+    logger.info(`[Hub] Discarding stale snapshot (snapshot checksum ${snapshotChecksum || 'none'}, OWLCMS checksum ${incomingChecksum || 'none'})`);
+    this.fopUpdates = {};
+    this.fopSessionStatus = {};
+    this.lastDatabaseChecksum = null;
+    this.lastDatabaseLoad = 0;
+    if (this._snapshotDir) {
+      deleteSnapshot(this._snapshotDir);
+    }
+    this._snapshotSignature = null;
+  }
+
+  /**
+   * Copy of a FOP update without the derived (underscore-prefixed) fields,
+   * which hold Sets/maps that are rebuilt by _rebuildDerivedState().
+   * @private
+   */
+  _stripDerivedFields(update) {
+    const plain = {};
+    for (const [key, value] of Object.entries(update || {})) {
+      if (!key.startsWith('_')) {
+        plain[key] = value;
+      }
+    }
+    return plain;
+  }
+
+  /**
+   * Start recording every inbound frame to an NDJSON journal (see ReplayPlayer)
+   * @param {object} params
+   * @param {string} [params.journalDir] - Directory for a new timestamped journal file
+   * @param {string} [params.journalPath] - Explicit journal file (appended to if it exists)
+   * @param {number} [params.maxBytes] - Size at which the journal moves to a new segment (see MessageJournal)
+   * @param {number} [params.maxFiles] - Segments kept on disk
+   * @param {number} [params.maxInlineBinaryBytes] - Larger binary frames are stored as size + sha256 only
+   * @returns {string} Path of the journal file
+   */
+  enableJournal({ journalDir, journalPath, maxBytes, maxFiles, maxInlineBinaryBytes } = {}) {
+    if (!journalDir && !journalPath) {
+      throw new Error('enableJournal requires journalDir or journalPath option');
+    }
+
+    this.disableJournal();
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filePath = journalPath || path.join(journalDir, `journal-${timestamp}.ndjson`);
+    this._journal = new MessageJournal({ journalPath: filePath, maxBytes, maxFiles, maxInlineBinaryBytes });
+    logger.info(`[Hub] 📼 Recording inbound messages to ${this._journal.path}`);
+    return this._journal.path;
+  }
+
+  /**
+   * Stop recording and close the journal file
+   * @returns {Promise<void>} Resolves once every recorded frame has been written
+   */
+  disableJournal() {
+    if (!this._journal) {
+      return Promise.resolve();
+    }
+    const closed = this._journal.close();
+    logger.info(`[Hub] Journal closed: ${this._journal.path}`);
+    this._journal = null;
+    return closed;
+  }
+
+  /**
+   * Get the active journal file (null when not recording)
+   * This is the current segment once the journal has rotated.
+   * @returns {string|null}
+   */
+  getJournalPath() {
+    return this._journal?.path || null;
+  }
+
+  /**
+   * Append an inbound frame to the journal (no-op when not recording)
+   * Called by the hub message handlers and by handleBinaryMessage.
+   * The update key is removed from JSON payloads so the shared secret never reaches the disk.
+   * A database bundled in a message is dropped from the message entry: the WebSocket handler
+   * loads it through handleFullCompetitionData, which records it as its own 'database' entry.
+   * @param {object} entry - { kind: 'message'|'database'|'binary', type, payload?, bytes? }
+   */
+  recordJournalEntry(entry) {
+    if (!this._journal) {
+      return;
+    }
+    const payload = entry.payload;
+    const omitted = entry.kind === 'message' ? [...JOURNAL_SECRET_FIELDS, 'database'] : JOURNAL_SECRET_FIELDS;
+    if (payload && typeof payload === 'object' && omitted.some(field => field in payload)) {
+      const redacted = { ...payload };
+      for (const field of omitted) {
+        delete redacted[field];
+      }
+      entry = { ...entry, payload: redacted };
+    }
+    this._journal.record(entry);
+  }
+
   /**
    * Wait for database to be ready (handles JSON, binary, or empty+binary sequences)
    * Returns immediately if database exists and is not loading
@@ -216,6 +751,8 @@ export class CompetitionHub extends EventEmitter {
    */
   handleOwlcmsMessage(params, messageType = 'update') {
     this.metrics.messagesReceived++;
+    this._prometheus.messagesReceived.inc(this._messageLabels(messageType, params?.uiEvent));
+    this.recordJournalEntry({ kind: 'message', type: messageType, payload: params });
     
     try {
       // Check if database is currently being loaded
@@ -299,17 +836,37 @@ export class CompetitionHub extends EventEmitter {
       
       this.fopUpdates[fopName] = mergedState;
 
-      // Cache invalidation signal for plugin helpers
-      this._incrementFopVersion(fopName);
-
       // Rebuild derived state (session maps, ordered lists, etc.)
       this._rebuildDerivedState(fopName);
 
       // Use sessionAthletes payloads to keep database cache fresh
       this._mergeSessionAthletesIntoDatabase(fopName);
+
+      // Cache invalidation signal for plugin helpers (after the rebuild, so the recorded
+      // FOP state of this version includes the resolved start and lifting orders).
+      // Timer and decision messages only change their own fields: the delta skips the rest.
+      const changedFields = isTimerOrDecision && !DERIVED_STATE_INPUTS.some(field => field in normalizedParams)
+        ? [...Object.keys(normalizedParams), 'lastUpdate', 'lastDataUpdate', 'fop']
+        : null;
+      this._incrementFopVersion(fopName, changedFields);
+
+      // Compare the lifting order OWLCMS sent with the one computed from the attempts
+      if (this.verifyLiftingOrder && messageType === 'update' && normalizedParams.liftingOrderKeys) {
+        this._verifyLiftingOrder(fopName);
+      }
       
       // Update session status tracking
-      this.updateSessionStatus(fopName, normalizedParams);
+      this.updateSessionStatus(fopName, normalizedParams, mergedState);
+
+      // Lift log: decisions close an attempt, updates and timers track the attempt in progress
+      if (messageType === 'decision') {
+        const liftEntry = this._liftLog.recordDecision(fopName, mergedState, normalizedParams);
+        if (liftEntry) {
+          this.emitEvent('lift:recorded', { fop: fopName, entry: { ...liftEntry }, timestamp: Date.now() });
+        }
+      } else {
+        this._liftLog.observe(fopName, mergedState, messageType);
+      }
       
       // Also update legacy state for backward compatibility
       const competitionState = this.parseOwlcmsUpdate(normalizedParams);
@@ -339,7 +896,7 @@ export class CompetitionHub extends EventEmitter {
         };
         logger.log(`[Hub] Emitting timer event for FOP ${fopName}: state=${athleteTimer.state}, displayMode=${displayMode}, remaining=${timerPayload.timeRemaining}ms`);
         this.broadcast({ type: 'timer', fop: fopName, timer: timerPayload, displayMode, timestamp: Date.now() });
-        this.emit('timer', { fop: fopName, timer: timerPayload, displayMode, timestamp: Date.now() });
+        this.emitEvent('timer', { fop: fopName, timer: timerPayload, displayMode, timestamp: Date.now() });
       }
       // Decision events send minimal payload but include computed displayMode for full context
       else if (messageType === 'decision') {
@@ -361,18 +918,21 @@ export class CompetitionHub extends EventEmitter {
           attemptNumber: normalizedParams.attemptNumber || null
         };
         this.broadcast({ type: 'decision', fop: fopName, decision: decisionPayload, displayMode, timestamp: Date.now() });
-        this.emit('decision', { fop: fopName, decision: decisionPayload, displayMode, timestamp: Date.now() });
+        this.emitEvent('decision', { fop: fopName, decision: decisionPayload, displayMode, timestamp: Date.now() });
       }
       // Regular updates broadcast fop_update with full data
       else {
+        const version = this.getFopStateVersion({ fopName });
         this.broadcast({
           type: 'fop_update',
           fop: fopName,
+          version,
           data: normalizedParams,
           timestamp: Date.now()
         });
-        this.emit('fop_update', {
+        this.emitEvent('update', {
           fop: fopName,
+          version,
           data: normalizedParams,
           timestamp: Date.now()
         });
@@ -418,14 +978,28 @@ export class CompetitionHub extends EventEmitter {
 
   /**
    * Handler for full competition database from OWLCMS
+   * @param {Object} params - Database payload
+   * @param {Object} [options]
+   * @param {boolean} [options.journal=true] - Record in the message journal (false when the
+   *   enclosing binary frame was already recorded)
    */
-  handleFullCompetitionData(params) {
+  handleFullCompetitionData(params, { journal = true } = {}) {
     this.metrics.messagesReceived++;
+    this._prometheus.messagesReceived.inc(this._messageLabels('database'));
+    if (journal) {
+      this.recordJournalEntry({ kind: 'database', type: 'database', payload: params });
+    }
     
     const hadDatabase = this.databaseState && this.databaseState.athletes && this.databaseState.athletes.length > 0;
     
     try {
       const incomingChecksum = params?.databaseChecksum || params?.checksum || null;
+
+      // First database after a snapshot restore decides whether the snapshot is kept
+      if (this._snapshotChecksum !== null) {
+        this._reconcileSnapshot(incomingChecksum);
+      }
+
       if (incomingChecksum && this.lastDatabaseChecksum && incomingChecksum === this.lastDatabaseChecksum) {
         logger.log(`[Hub] Database checksum ${incomingChecksum} matches current state, skipping reload`);
         this.databaseRequested = 0;
@@ -450,6 +1024,7 @@ export class CompetitionHub extends EventEmitter {
 
       // Set loading latch with timestamp
       this.isLoadingDatabase = Date.now();
+      const loadStartedAt = performance.now();
       logger.log('[Hub] Processing full competition data');
       
       // Parse the full competition state
@@ -508,7 +1083,7 @@ export class CompetitionHub extends EventEmitter {
       });
       
       // Also emit as EventEmitter for consumers using .on()
-      this.emit('competition_initialized', {
+      this.emitEvent('database', {
         payload: this.state,
         timestamp: Date.now()
       });
@@ -527,20 +1102,18 @@ export class CompetitionHub extends EventEmitter {
       // Release loading latch and record successful load time
       this.isLoadingDatabase = false;
       this.lastDatabaseLoad = Date.now();
+      this._prometheus.databaseLoadSeconds.observe({}, (performance.now() - loadStartedAt) / 1000);
       this.databaseRequested = 0; // Reset request flag since database has arrived
       this.lastDatabaseChecksum = this.databaseState.databaseChecksum;
       
       // ✅ Signal all waiters that database is ready (handles JSON, binary, and empty+binary paths)
-      this.emit('database:ready');
+      this.emitEvent('database:ready', { timestamp: Date.now() });
       
       // Check if hub is now fully ready (database + translations)
       if (this.isReady()) {
         logger.log('[Hub] ✅ HUB READY - Database and translations loaded');
-        this.emit('hub:ready');
-        
-        
-        // Also emit hub_ready_broadcast event for EventEmitter consumers
-        this.emit('hub_ready_broadcast', {
+        // Also emitted as hub_ready_broadcast (deprecated name) for older EventEmitter consumers
+        this.emitEvent('hub:ready', {
           message: 'Hub ready - database and translations loaded',
           timestamp: Date.now()
         });
@@ -705,74 +1278,567 @@ export class CompetitionHub extends EventEmitter {
 
   /**
    * Subscribe to state changes (for SSE clients)
+   * Messages without a FOP (waiting, hub_ready, ...) reach every subscriber whose types filter allows them.
+   * @param {function} callback - Receives each broadcast message
+   * @param {object} [options]
+   * @param {string|string[]} [options.fops] - Only deliver messages for these FOPs (init is scoped too)
+   * @param {string|string[]} [options.types] - Only deliver these message types (e.g. ['timer', 'decision'])
+   * @param {string} [options.locale] - Locale of this subscriber; only the init is localized (it includes
+   *   the translations), broadcasts carry no text to translate and are not filtered by locale
+   * @param {boolean} [options.deltas=false] - Receive fop_delta (JSON Patch against the last FOP
+   *   state this subscriber received) or fop_state (full state) messages instead of fop_update
+   * @param {string} [options.name] - Label shown in getMetrics().subscribers
+   * @param {number} [options.queueSize=100] - Messages queued while the callback is busy
+   * @param {string} [options.overflow='drop-oldest'] - When the queue is full: 'drop-oldest',
+   *   'collapse' (keep only the latest state per FOP and message type) or 'disconnect'
+   * @param {function} [options.onDisconnect] - Called with the reason when the hub drops this subscriber
+   * @returns {function} Unsubscribe function
    */
-  subscribe(callback) {
+  subscribe(callback, {
+    fops = null,
+    types = null,
+    locale = null,
+    deltas = false,
+    name = null,
+    queueSize = 100,
+    overflow = 'drop-oldest',
+    onDisconnect = null
+  } = {}) {
+    if (!SUBSCRIBER_OVERFLOW_POLICIES.includes(overflow)) {
+      throw new Error(`Unknown overflow policy '${overflow}' (expected ${SUBSCRIBER_OVERFLOW_POLICIES.join(', ')})`);
+    }
+    const subscription = {
+      id: ++this._subscriptionCounter,
+      name,
+      callback,
+      fops: fops ? new Set([].concat(fops)) : null,
+      types: types ? new Set([].concat(types)) : null,
+      locale: locale || null,
+      deltas,
+      queueSize: Math.max(1, queueSize),
+      overflow,
+      onDisconnect,
+      queue: [],       // Entries: { message, key, enqueuedAt }
+      deltaVersions: {}, // Last FOP version sent to this delta subscriber, per FOP
+      draining: false,
+      delivered: 0,
+      dropped: 0,
+      collapsed: 0
+    };
     this.subscribers.add(callback);
+    this._subscriptions.set(callback, subscription);
     this.metrics.activeClients++;
 
     // Send current state if available
-    if (this.state) {
-      callback({
-        type: 'init',
-        payload: this.state,
-        timestamp: Date.now()
-      });
-    } else {
-      callback({
+    const init = this._buildInitMessage(subscription);
+    if (deltas && init.type === 'init' && init.payload?.fops) {
+      // The scoped init holds the plain FOP states: the first deltas can be relative to them
+      for (const [fopName, entry] of Object.entries(init.payload.fops)) {
+        if (entry.update) {
+          subscription.deltaVersions[fopName] = entry.version;
+          this._fopBaselines[fopName] ??= this._toPlainFopState(fopName);
+        }
+      }
+    }
+    callback(init);
+
+    // Return unsubscribe function
+    return () => {
+      if (this.subscribers.delete(callback)) {
+        this._subscriptions.delete(callback);
+        subscription.queue = [];
+        this.metrics.activeClients--;
+      }
+    };
+  }
+
+  /**
+   * Message a new subscriber receives first (init, or waiting before any data arrives)
+   * For bridges that fan out one subscription to many clients (see createSseHandler).
+   * @param {object} [options]
+   * @param {string|string[]} [options.fops] - Scope the state to these FOPs
+   * @param {string} [options.locale] - Include the translations of this locale
+   * @returns {object}
+   */
+  getInitMessage({ fops = null, locale = null } = {}) {
+    return this._buildInitMessage({ fops: fops ? new Set([].concat(fops)) : null, locale: locale || null });
+  }
+
+  /**
+   * Initial message for a new subscriber
+   * Unscoped subscriptions get the legacy combined state (kept for existing consumers); FOP- or
+   * locale-scoped ones get the competition header, the state of their FOPs and their translations.
+   * Both carry the FOP versions and the hub run id (see getFopUpdateDiff()).
+   */
+  _buildInitMessage({ fops, locale }) {
+    if (!this.state) {
+      return {
         type: 'waiting',
         message: 'Waiting for competition data from OWLCMS...',
         timestamp: Date.now()
-      });
+      };
+    }
+    const versions = {};
+    for (const fopName of fops ? [...fops] : Object.keys(this.fopUpdates)) {
+      versions[fopName] = this.getFopStateVersion({ fopName });
+    }
+    if (!fops && !locale) {
+      return {
+        type: 'init',
+        runId: this._runId,
+        versions,
+        payload: this.state,
+        timestamp: Date.now()
+      };
     }
 
-    // Return unsubscribe function
-    return () => {
-      this.subscribers.delete(callback);
-      this.metrics.activeClients--;
+    const fopNames = fops ? [...fops] : Object.keys(this.fopUpdates);
+    const payload = {
+      competition: this.databaseState?.competition || this.state.competition || null,
+      fops: {}
+    };
+    for (const fopName of fopNames) {
+      payload.fops[fopName] = {
+        version: this.getFopStateVersion({ fopName }),
+        sessionStatus: this.getSessionStatus({ fopName }),
+        update: this.fopUpdates[fopName] ? this._stripDerivedFields(this.fopUpdates[fopName]) : null
+      };
+    }
+    if (locale) {
+      payload.translations = this.getTranslations({ locale });
+    }
+
+    return {
+      type: 'init',
+      runId: this._runId,
+      versions,
+      fops: fopNames,
+      locale,
+      payload,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Whether a subscription accepts a message (as delivered, e.g. fop_delta for delta subscribers)
+   */
+  _subscriptionAccepts(subscription, message, originalType) {
+    if (!subscription) {
+      return true;
+    }
+    if (subscription.fops && message.fop && !subscription.fops.has(message.fop)) {
+      return false;
+    }
+    if (subscription.types && !subscription.types.has(message.type) && !subscription.types.has(originalType)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Broadcast message to all subscribers (coalesced per FOP and event type)
+   * The first message of a key goes out immediately. Messages arriving within the window
+   * after it are held back; only the most recent one is delivered when the window ends,
+   * so the last state of a burst is never lost.
+   */
+  broadcast(message) {
+    // Coalesce only identical event types for same FOP
+    // Example: stop-stop can be coalesced, but stop-start-stop should all go through
+    const fopName = message.fop || 'global';
+    // IMPORTANT: Check uiEvent FIRST - UPDATE messages have both uiEvent and athleteTimerEventType,
+    // and we want to coalesce based on the primary event type (uiEvent for updates)
+    const eventType = message.data?.uiEvent || message.data?.athleteTimerEventType || message.type || 'unknown';
+    const key = `${fopName}-${eventType}`;
+
+    const pending = this._pendingBroadcasts.get(key);
+    if (pending) {
+      // A newer message replaces the one waiting for the end of the window
+      pending.message = message;
+      this.metrics.messagesCoalesced++;
+      logger.log(`[Hub] Coalescing ${eventType} for ${fopName} (newer message replaces pending one)`);
+      return;
+    }
+
+    const windowMs = this.getBroadcastWindow({ eventType, messageType: message.type });
+    const elapsed = Date.now() - (this.lastBroadcastTime[key] || 0);
+    if (elapsed >= windowMs) {
+      this._deliverBroadcast(key, message);
+      return;
+    }
+
+    const entry = { message, timer: null };
+    entry.timer = setTimeout(() => {
+      this._pendingBroadcasts.delete(key);
+      this._deliverBroadcast(key, entry.message);
+    }, windowMs - elapsed);
+    entry.timer.unref?.();
+    this._pendingBroadcasts.set(key, entry);
+  }
+
+  /**
+   * Coalescing window for an event type
+   * @param {object} params
+   * @param {string} params.eventType - uiEvent, timer event type or message type
+   * @param {string} [params.messageType] - Broadcast message type (fop_update, timer, decision, ...)
+   * @returns {number} Window in milliseconds (0 = never coalesce)
+   */
+  getBroadcastWindow({ eventType, messageType } = {}) {
+    return this.broadcastWindowsMs[eventType]
+      ?? this.broadcastWindowsMs[messageType]
+      ?? this.broadcastDebounceMs;
+  }
+
+  /**
+   * Set coalescing windows per event type (merged with existing overrides)
+   * @param {object} windows - { eventType: ms }; a null value removes the override
+   */
+  setBroadcastWindows(windows = {}) {
+    for (const [eventType, windowMs] of Object.entries(windows)) {
+      if (windowMs === null || windowMs === undefined) {
+        delete this.broadcastWindowsMs[eventType];
+      } else {
+        this.broadcastWindowsMs[eventType] = windowMs;
+      }
+    }
+  }
+
+  /**
+   * Deliver all held-back broadcasts now instead of at the end of their windows
+   */
+  flushBroadcasts() {
+    for (const [key, entry] of [...this._pendingBroadcasts]) {
+      clearTimeout(entry.timer);
+      this._pendingBroadcasts.delete(key);
+      this._deliverBroadcast(key, entry.message);
+    }
+  }
+
+  _cancelPendingBroadcasts() {
+    for (const entry of this._pendingBroadcasts.values()) {
+      clearTimeout(entry.timer);
+    }
+    this._pendingBroadcasts.clear();
+  }
+
+  _deliverBroadcast(key, message) {
+    this.lastBroadcastTime[key] = Date.now();
+    this.metrics.messagesBroadcast++;
+
+    // Delta subscribers each get patches from the version they last received; same base, same message
+    const deltasBySince = new Map();
+    for (const subscription of [...this._subscriptions.values()]) {
+      if (message.type !== 'fop_update' || !subscription.deltas) {
+        if (this._subscriptionAccepts(subscription, message, message.type)) {
+          this._enqueueForSubscriber(subscription, message);
+        }
+        continue;
+      }
+      const accepted = ['fop_delta', 'fop_state'].some(type =>
+        this._subscriptionAccepts(subscription, { ...message, type }, message.type));
+      if (!accepted) {
+        continue;
+      }
+      const sinceVersion = subscription.deltaVersions[message.fop];
+      let delta = deltasBySince.get(sinceVersion);
+      if (!delta) {
+        delta = this._buildDeltaMessage(message, sinceVersion);
+        deltasBySince.set(sinceVersion, delta);
+      }
+      subscription.deltaVersions[message.fop] = delta.version;
+      this._enqueueForSubscriber(subscription, delta);
+    }
+  }
+
+  /**
+   * Queue a message for one subscriber and make sure its queue is being drained
+   * Each subscriber is drained independently, so a slow callback (one returning a promise
+   * that settles late) only delays its own messages.
+   */
+  _enqueueForSubscriber(subscription, message) {
+    if (subscription.queue.length >= subscription.queueSize) {
+      if (subscription.overflow === 'disconnect') {
+        this._dropSubscriber(subscription, 'slow_consumer');
+        return;
+      }
+      if (subscription.overflow === 'collapse') {
+        this._collapseQueue(subscription);
+      }
+      // drop-oldest, or collapse that could not free a slot (every entry is a distinct key)
+      while (subscription.queue.length >= subscription.queueSize) {
+        const dropped = subscription.queue.shift();
+        if (dropped.message.type === 'fop_delta' || dropped.message.type === 'fop_state') {
+          message = this._carryDroppedFopState(subscription, dropped, message);
+          continue;
+        }
+        subscription.dropped++;
+        this.metrics.messagesDropped++;
+      }
+    }
+
+    subscription.queue.push({ message, key: this._queueCollapseKey(message), enqueuedAt: Date.now() });
+    if (!subscription.draining) {
+      subscription.draining = true;
+      setImmediate(() => this._drainSubscriber(subscription));
+    }
+  }
+
+  /**
+   * Keep the delta chain of a subscriber intact when drop-oldest removes a fop_delta/fop_state
+   * The dropped patch is merged into the next queued (or incoming) message of the same FOP state;
+   * when there is none, the subscriber's next delta for that FOP is a full fop_state instead.
+   * @returns {object} The incoming message, merged with the dropped one when they share a key
+   */
+  _carryDroppedFopState(subscription, dropped, message) {
+    const newer = subscription.queue.find(entry => entry.key === dropped.key);
+    if (newer || this._queueCollapseKey(message) === dropped.key) {
+      subscription.collapsed++;
+      this.metrics.messagesCollapsed++;
+      if (newer) {
+        newer.message = this._mergeQueuedMessages(dropped.message, newer.message);
+        return message;
+      }
+      return this._mergeQueuedMessages(dropped.message, message);
+    }
+
+    subscription.dropped++;
+    this.metrics.messagesDropped++;
+    delete subscription.deltaVersions[dropped.message.fop];
+    return message;
+  }
+
+  async _drainSubscriber(subscription) {
+    while (subscription.queue.length > 0 && this._subscriptions.get(subscription.callback) === subscription) {
+      const { message } = subscription.queue.shift();
+      try {
+        await subscription.callback(message);
+        subscription.delivered++;
+      } catch (error) {
+        logger.error('[Hub] Error broadcasting to subscriber:', error);
+        this._dropSubscriber(subscription, 'callback_error');
+        return;
+      }
+    }
+    subscription.draining = false;
+  }
+
+  _dropSubscriber(subscription, reason) {
+    if (!this.subscribers.delete(subscription.callback)) {
+      return;
+    }
+    this._subscriptions.delete(subscription.callback);
+    this.metrics.activeClients--;
+    subscription.queue = [];
+
+    if (reason === 'slow_consumer') {
+      this.metrics.slowConsumersDisconnected++;
+      logger.warn(`[Hub] Disconnecting slow subscriber ${subscription.name || subscription.id}: queue full (${subscription.queueSize})`);
+    }
+    try {
+      subscription.onDisconnect?.(reason);
+    } catch (error) {
+      logger.error('[Hub] Error in subscriber onDisconnect:', error);
+    }
+  }
+
+  /**
+   * Messages sharing a key describe the same piece of state; the newest one supersedes the others.
+   * fop_update, fop_delta and fop_state all describe the FOP state.
+   */
+  _queueCollapseKey(message) {
+    const fopName = message.fop || 'global';
+    if (message.type === 'fop_update' || message.type === 'fop_delta' || message.type === 'fop_state') {
+      return `${fopName}:state`;
+    }
+    return `${fopName}:${message.type}`;
+  }
+
+  /**
+   * Keep only the latest entry per key, at the position of that latest entry
+   * Consecutive deltas are concatenated, and a delta following a full state is applied to it,
+   * so delta subscribers never miss a change.
+   */
+  _collapseQueue(subscription) {
+    const kept = [];
+    const latestByKey = new Map();
+    for (let i = subscription.queue.length - 1; i >= 0; i--) {
+      const entry = subscription.queue[i];
+      const newer = latestByKey.get(entry.key);
+      if (!newer) {
+        latestByKey.set(entry.key, entry);
+        kept.push(entry);
+        continue;
+      }
+      newer.message = this._mergeQueuedMessages(entry.message, newer.message);
+      newer.enqueuedAt = entry.enqueuedAt;
+      subscription.collapsed++;
+      this.metrics.messagesCollapsed++;
+    }
+    subscription.queue = kept.reverse();
+  }
+
+  _mergeQueuedMessages(older, newer) {
+    if (newer.type !== 'fop_delta') {
+      return newer;
+    }
+    if (older.type === 'fop_delta') {
+      return { ...newer, fromVersion: older.fromVersion, patch: [...older.patch, ...newer.patch] };
+    }
+    if (older.type === 'fop_state') {
+      const state = applyJsonPatch(structuredClone(older.state), newer.patch);
+      return { type: 'fop_state', fop: newer.fop, version: newer.version, state, timestamp: newer.timestamp };
+    }
+    return newer;
+  }
+
+  /**
+   * Delta-subscriber variant of a fop_update broadcast
+   * Patches span everything since the version the subscriber last received, so versions
+   * bumped by timer/decision messages, superseded by coalescing or filtered out are included.
+   * @param {object} message - fop_update broadcast
+   * @param {number} [sinceVersion] - Last version sent to the subscriber (none: full state)
+   * @returns {object} fop_delta message, or fop_state when the history does not reach back far enough
+   */
+  _buildDeltaMessage(message, sinceVersion) {
+    const fopName = message.fop;
+    const diff = this.getFopUpdateDiff({ fopName, sinceVersion });
+
+    if (diff.full) {
+      return { type: 'fop_state', fop: fopName, version: diff.version, state: diff.state, timestamp: message.timestamp };
+    }
+    return {
+      type: 'fop_delta',
+      fop: fopName,
+      fromVersion: diff.fromVersion,
+      version: diff.version,
+      patch: diff.patch,
+      timestamp: message.timestamp
+    };
+  }
+
+  /**
+   * Get hub metrics
+   * `subscribers` lists each subscription's queue depth and lag (age of its oldest queued message).
+   */
+  getMetrics() {
+    const now = Date.now();
+    const subscribers = [...this._subscriptions.values()].map((subscription) => ({
+      id: subscription.id,
+      name: subscription.name,
+      overflow: subscription.overflow,
+      queueSize: subscription.queueSize,
+      queued: subscription.queue.length,
+      lagMs: subscription.queue.length > 0 ? now - subscription.queue[0].enqueuedAt : 0,
+      delivered: subscription.delivered,
+      dropped: subscription.dropped,
+      collapsed: subscription.collapsed
+    }));
+    return { ...this.metrics, subscribers };
+  }
+
+  _createPrometheusMetrics() {
+    const registry = new MetricsRegistry();
+    const hubCounter = (name, help, key) => registry.counter({ name, help, collect: () => [{ value: this.metrics[key] }] });
+    return {
+      registry,
+      messagesReceived: registry.counter({
+        name: 'owlcms_tracker_messages_received_total',
+        help: 'OWLCMS messages handled by the hub, by WebSocket message type and uiEvent',
+        labelNames: ['type', 'ui_event']
+      }),
+      binaryFrameBytes: registry.histogram({
+        name: 'owlcms_tracker_binary_frame_bytes',
+        help: 'Size of OWLCMS binary frames, by handler',
+        labelNames: ['handler'],
+        buckets: DEFAULT_SIZE_BUCKETS
+      }),
+      binaryFrameSeconds: registry.histogram({
+        name: 'owlcms_tracker_binary_frame_duration_seconds',
+        help: 'Processing time of OWLCMS binary frames, by handler',
+        labelNames: ['handler']
+      }),
+      responses: registry.counter({
+        name: 'owlcms_tracker_responses_sent_total',
+        help: 'Status responses sent to OWLCMS (202 retry, 400 protocol, 401 unauthorized, 428 precondition, ...)',
+        labelNames: ['status']
+      }),
+      databaseLoadSeconds: registry.histogram({
+        name: 'owlcms_tracker_database_load_duration_seconds',
+        help: 'Time to parse and index a full competition database'
+      }),
+      broadcast: hubCounter('owlcms_tracker_messages_broadcast_total', 'Messages broadcast to subscribers', 'messagesBroadcast'),
+      coalesced: hubCounter('owlcms_tracker_messages_coalesced_total', 'Broadcasts superseded by a newer message of the same FOP and event type', 'messagesCoalesced'),
+      dropped: hubCounter('owlcms_tracker_messages_dropped_total', 'Messages discarded from full subscriber queues', 'messagesDropped'),
+      collapsed: hubCounter('owlcms_tracker_messages_collapsed_total', 'Messages merged into a newer one in full subscriber queues', 'messagesCollapsed'),
+      slowConsumers: hubCounter('owlcms_tracker_slow_consumers_disconnected_total', 'Subscribers disconnected for falling behind', 'slowConsumersDisconnected'),
+      subscribers: registry.gauge({
+        name: 'owlcms_tracker_subscribers',
+        help: 'Current hub subscribers',
+        collect: () => [{ value: this._subscriptions.size }]
+      }),
+      fopIdle: registry.gauge({
+        name: 'owlcms_tracker_fop_seconds_since_update',
+        help: 'Seconds since the last OWLCMS update, timer or decision of each platform',
+        labelNames: ['fop'],
+        collect: () => {
+          const now = Date.now();
+          return Object.entries(this.fopUpdates)
+            .filter(([, state]) => state?.lastUpdate)
+            .map(([fop, state]) => ({ labels: { fop }, value: Math.max(0, (now - state.lastUpdate) / 1000) }));
+        }
+      })
     };
   }
 
   /**
-   * Broadcast message to all subscribers (with debouncing per FOP and event type)
+   * Labels of owlcms_tracker_messages_received_total, bounded whatever OWLCMS sends:
+   * message types outside EVENT_REGISTRY and uiEvents past MAX_UI_EVENT_LABELS become 'other'
+   * @private
    */
-  broadcast(message) {
-    // Debounce only identical event types for same FOP
-    // Example: stop-stop can be debounced, but stop-start-stop should all go through
-    const fopName = message.fop || 'global';
-    // IMPORTANT: Check uiEvent FIRST - UPDATE messages have both uiEvent and athleteTimerEventType,
-    // and we want to debounce based on the primary event type (uiEvent for updates)
-    const eventType = message.data?.uiEvent || message.data?.athleteTimerEventType || message.type || 'unknown';
-    const debounceKey = `${fopName}-${eventType}`;
-    
-    const now = Date.now();
-    const lastBroadcast = this.lastBroadcastTime[debounceKey] || 0;
-    const timeSinceLastBroadcast = now - lastBroadcast;
-    
-    // Skip broadcast if same event type for same FOP occurred too recently
-    if (timeSinceLastBroadcast < this.broadcastDebounceMs) {
-      logger.log(`[Hub] Debouncing ${eventType} for ${fopName} (${timeSinceLastBroadcast}ms since last)`);
-      return;
-    }
-    
-    this.lastBroadcastTime[debounceKey] = now;
-    this.metrics.messagesBroadcast++;
-    
-    for (const callback of this.subscribers) {
-      try {
-        callback(message);
-      } catch (error) {
-        logger.error('[Hub] Error broadcasting to subscriber:', error);
-        this.subscribers.delete(callback);
-        this.metrics.activeClients--;
+  _messageLabels(messageType, uiEvent) {
+    const type = Object.hasOwn(EVENT_REGISTRY, messageType) ? messageType : 'other';
+    if (typeof uiEvent !== 'string' || !uiEvent) {
+      return { type, ui_event: '' };
+    }
+    if (!this._uiEventLabels.has(uiEvent)) {
+      if (this._uiEventLabels.size >= MAX_UI_EVENT_LABELS || !/^[A-Za-z][A-Za-z0-9_]{0,63}$/.test(uiEvent)) {
+        return { type, ui_event: 'other' };
       }
+      this._uiEventLabels.add(uiEvent);
     }
+    return { type, ui_event: uiEvent };
   }
 
   /**
-   * Get hub metrics
+   * Record a binary frame handled for OWLCMS (called by the WebSocket server)
+   * @param {object} options
+   * @param {string} options.handler - Binary message type ('database_zip', 'flags_zip', ...)
+   * @param {number} options.bytes - Frame size
+   * @param {number} options.durationMs - Processing time
    */
-  getMetrics() {
-    return { ...this.metrics };
+  recordBinaryFrame({ handler, bytes, durationMs } = {}) {
+    const labels = { handler: handler || 'unknown' };
+    this._prometheus.binaryFrameBytes.observe(labels, bytes);
+    this._prometheus.binaryFrameSeconds.observe(labels, durationMs / 1000);
+  }
+
+  /**
+   * Record a status response sent to OWLCMS (called by the WebSocket server)
+   * @param {object} options
+   * @param {number} options.status - HTTP-style status (202, 400, 401, 428, ...)
+   */
+  recordResponse({ status } = {}) {
+    if (status) {
+      this._prometheus.responses.inc({ status: String(status) });
+    }
+  }
+
+  /**
+   * Get hub metrics in the Prometheus text exposition format
+   * Serve with Content-Type PROMETHEUS_CONTENT_TYPE (see createHealthHandler prometheusPath).
+   * @returns {string}
+   */
+  getPrometheusMetrics() {
+    return this._prometheus.registry.render();
   }
 
   /**
@@ -916,11 +1982,10 @@ export class CompetitionHub extends EventEmitter {
     }
     
     // Map resource types to their corresponding loaded events
-    // Event names use underscores (flags_loaded, logos_loaded, pictures_loaded)
     const resourceToEvent = {
-      'flags_zip': 'flags_loaded',
-      'logos_zip': 'logos_loaded',
-      'pictures_zip': 'pictures_loaded'
+      'flags_zip': 'flags:loaded',
+      'logos_zip': 'logos:loaded',
+      'pictures_zip': 'pictures:loaded'
     };
     
     // Track which events we're waiting for
@@ -1067,6 +2132,72 @@ export class CompetitionHub extends EventEmitter {
     return this.getStartOrderEntries({ fopName, includeSpacer: include });
   }
 
+  /**
+   * Search the database athletes (all sessions)
+   * Results have the flat shape of getSessionAthletes(): "LAST, First" fullName, teamName,
+   * category display name, sattempts/cattempts as { stringValue, liftStatus }, athleteKey.
+   * @param {object} [params]
+   * @param {string|number} [params.team] - Team name or numeric team id
+   * @param {string} [params.categoryCode] - Registration category or any participation
+   * @param {string} [params.ageGroup] - Age group code (e.g. 'SR')
+   * @param {string} [params.sessionName] - Session name
+   * @param {string} [params.gender] - 'M' | 'F'
+   * @param {string} [params.text] - Words matched against names, team and membership (case and accents ignored)
+   * @param {string} [params.sortBy='name'] - 'name' | 'startNumber' | 'lotNumber' | 'team' | 'category' | 'session'
+   *   | 'bodyWeight' | 'total' | 'sinclair' ('-' prefix reverses)
+   * @param {number} [params.limit] - Maximum number of athletes
+   * @returns {Array<Object>} Flat athlete records
+   */
+  queryAthletes({ team, categoryCode, ageGroup, sessionName, gender, text, sortBy = 'name', limit } = {}) {
+    const athletes = this.databaseState?.athletes;
+    if (!athletes || athletes.length === 0) return [];
+
+    const ageGroups = this.getCategoryToAgeGroupMap();
+    const categoryNames = new Map((this.databaseState.categories || []).map(category => [category.code, category.name]));
+    const matches = queryAthletes(athletes, {
+      team,
+      categoryCode,
+      ageGroup,
+      sessionName,
+      gender,
+      text,
+      sortBy,
+      limit,
+      resolveTeamName: (teamId) => this._getTeamNameById(teamId),
+      resolveAgeGroup: (code) => ageGroups.get(String(code))?.code ?? null
+    });
+
+    const records = matches.map(athlete => {
+      // Let _flattenSessionAthletes compose the session-style name ("LAST, First")
+      const { fullName, name, ...record } = athlete;
+      const categoryName = categoryNames.get(athlete.categoryCode) || athlete.categoryName;
+      return {
+        ...record,
+        category: categoryName || athlete.categoryCode || null,
+        categoryName: categoryName || null,
+        sattempts: this._databaseAttempts(athlete, 'snatch'),
+        cattempts: this._databaseAttempts(athlete, 'cleanJerk')
+      };
+    });
+    return this._flattenSessionAthletes(records).athletesArray;
+  }
+
+  /**
+   * Attempts of a database athlete in the OWLCMS V2 { value, status } format
+   * @private
+   */
+  _databaseAttempts(athlete, lift) {
+    return [1, 2, 3].map(attemptNumber => {
+      const actual = athlete[`${lift}${attemptNumber}ActualLift`];
+      if (actual !== null && actual !== undefined && actual !== '') {
+        const weight = Number(actual);
+        if (!Number.isFinite(weight) || weight === 0) return { value: null, status: null };
+        return { value: Math.abs(weight), status: weight > 0 ? 'good' : 'bad' };
+      }
+      return { value: requestedWeightOf(athlete, lift, attemptNumber), status: null };
+    });
+  }
+
   /**
    * Get ordered lifting queue entries with spacer markers (snatch vs clean & jerk split) using V2 data only.
    */
@@ -1161,6 +2292,78 @@ export class CompetitionHub extends EventEmitter {
     return allEntries.filter(entry => entry.teamNumber === teamNumber);
   }
 
+  /**
+   * All sessions of the competition in schedule order, joined with the live session status of the platforms.
+   * Times are the venue's wall clock as 'YYYY-MM-DDTHH:mm:ss' strings.
+   * @returns {Array<Object>} { name, description, platform, date, startTime, weighInTime, done,
+   *   state: 'active' | 'done' | 'scheduled', fopName, phase }
+   *   fopName/phase are set while a platform has the session loaded (phase from getSessionStatus()).
+   */
+  getSessions() {
+    const sessions = this.databaseState?.sessions;
+    if (!Array.isArray(sessions) || sessions.length === 0) return [];
+
+    const live = new Map();
+    for (const fopName of Object.keys(this.fopSessionStatus)) {
+      const status = this.getSessionStatus({ fopName });
+      if (status.sessionName) {
+        live.set(status.sessionName, { fopName, phase: status.phase });
+      }
+    }
+
+    return sessions
+      .map(session => {
+        const normalized = normalizeSession(session);
+        const entry = live.get(normalized.name);
+        // The live phase wins over the database flag (a reopened session is no longer done)
+        const done = entry ? entry.phase === SESSION_PHASES.DONE : normalized.done;
+        return {
+          ...normalized,
+          done,
+          state: done ? 'done' : entry ? 'active' : 'scheduled',
+          fopName: entry?.fopName ?? null,
+          phase: entry?.phase ?? null
+        };
+      })
+      .sort(compareSessions);
+  }
+
+  /**
+   * Sessions of a platform and/or day, in schedule order
+   * @param {Object} [options] - Options object
+   * @param {string} [options.platform] - Platform (FOP) name
+   * @param {string} [options.date] - Start date 'YYYY-MM-DD'
+   * @returns {Array<Object>} Sessions as returned by getSessions()
+   */
+  getSchedule({ platform, date } = {}) {
+    return this.getSessions().filter(session =>
+      (!platform || session.platform === platform) && (!date || session.date === date));
+  }
+
+  /**
+   * Session running on a platform and the one that follows it (e.g. "Next: M3 at 14:00" between sessions)
+   * Sessions without a platform belong to the only platform of single-platform competitions.
+   * @param {Object} [options] - Options object
+   * @param {string} [options.fopName='A'] - FOP (platform) name
+   * @returns {{ fop: string, current: Object|null, next: Object|null }} Sessions as returned by getSessions()
+   */
+  getCurrentAndNextSession({ fopName = 'A' } = {}) {
+    const singlePlatform = this.getAvailableFOPs().length <= 1;
+    const sessions = this.getSessions().filter(session =>
+      session.platform === fopName || (!session.platform && singlePlatform));
+    const status = this.fopSessionStatus[fopName] ? this.getSessionStatus({ fopName }) : null;
+    return { fop: fopName, ...findCurrentAndNextSession(sessions, status) };
+  }
+
+  /**
+   * Identifier of this hub instance, different in every process and for every CompetitionHub
+   * FOP versions are only comparable within one run: pair them with this id when they leave the process.
+   * @returns {string}
+   */
+  getRunId() {
+    return this._runId;
+  }
+
   /**
    * Monotonic per-FOP version counter for plugin cache invalidation.
    */
@@ -1168,80 +2371,231 @@ export class CompetitionHub extends EventEmitter {
     return this._fopVersions[fopName] || 0;
   }
 
-  _incrementFopVersion(fopName) {
-    this._fopVersions[fopName] = (this._fopVersions[fopName] || 0) + 1;
+  /**
+   * @param {string} fopName
+   * @param {Array<string>|null} [changedFields] - Top-level fields that may have changed (null: any)
+   */
+  _incrementFopVersion(fopName, changedFields = null) {
+    const fromVersion = this._fopVersions[fopName] || 0;
+    this._fopVersions[fopName] = fromVersion + 1;
+    if (this._isFopHistoryWanted()) {
+      this._recordFopDelta(fopName, fromVersion, fromVersion + 1, changedFields);
+    } else {
+      // Nobody diffs: skip the clone and diff, and forget the stale baseline
+      delete this._fopBaselines[fopName];
+      delete this._fopHistory[fopName];
+    }
+  }
+
+  _isFopHistoryWanted() {
+    if (Date.now() - this._fopHistoryRequestedAt < FOP_HISTORY_IDLE_MS) {
+      return true;
+    }
+    for (const subscription of this._subscriptions.values()) {
+      if (subscription.deltas) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Changes to a FOP state since a version the client already has
+   * Falls back to the full state when sinceVersion is missing, when runId is not this hub's
+   * (versions restart at 0 in a new process), or when sinceVersion is older than the retained
+   * history (fopHistoryLimit versions). History is only recorded while it is used: the first
+   * call after FOP_HISTORY_IDLE_MS without calls or delta subscribers returns the full state.
+   * States exclude derived `_` fields; apply patches with applyJsonPatch().
+   * @param {object} params
+   * @param {string} [params.fopName='A'] - FOP name
+   * @param {number} [params.sinceVersion] - Version from a previous diff, fop_update or fop_delta
+   * @param {string} [params.runId] - runId of that previous result (or of the init message)
+   * @returns {object} { fop, runId, version, full: false, fromVersion, patch } or { fop, runId, version, full: true, state }
+   */
+  getFopUpdateDiff({ fopName = 'A', sinceVersion, runId } = {}) {
+    const version = this.getFopStateVersion({ fopName });
+    this._fopHistoryRequestedAt = Date.now();
+    const sameRun = runId === undefined || runId === this._runId;
+
+    if (sameRun && Number.isInteger(sinceVersion) && sinceVersion <= version) {
+      if (sinceVersion === version) {
+        return { fop: fopName, runId: this._runId, version, full: false, fromVersion: sinceVersion, patch: [] };
+      }
+      const history = this._fopHistory[fopName] || [];
+      const start = history.findIndex(entry => entry.fromVersion === sinceVersion);
+      if (start !== -1) {
+        const patch = history.slice(start).flatMap(entry => entry.patch);
+        // Copy so callers applying the patch cannot alter the recorded history
+        return { fop: fopName, runId: this._runId, version, full: false, fromVersion: sinceVersion, patch: structuredClone(patch) };
+      }
+    }
+
+    // Keep the state as baseline so the next version can be diffed against it
+    const state = this._fopBaselines[fopName] ??= this._toPlainFopState(fopName);
+    return { fop: fopName, runId: this._runId, version, full: true, state: structuredClone(state) };
+  }
+
+  _toPlainFopState(fopName) {
+    return JSON.parse(JSON.stringify(this._stripDerivedFields(this.fopUpdates[fopName])));
+  }
+
+  /**
+   * Record the patch from the previous FOP state to the current one
+   * Called on every version bump so the history stays contiguous. With changedFields, only those
+   * fields are copied and diffed, so timer ticks do not cost a copy of the start and lifting orders.
+   */
+  _recordFopDelta(fopName, fromVersion, version, changedFields = null) {
+    const previous = this._fopBaselines[fopName];
+    const history = this._fopHistory[fopName] || (this._fopHistory[fopName] = []);
+    if (previous === undefined) {
+      // No known starting point: clients older than this version need the full state
+      this._fopBaselines[fopName] = this._toPlainFopState(fopName);
+      history.length = 0;
+      return;
+    }
+
+    let patch;
+    if (changedFields) {
+      const state = this.fopUpdates[fopName] || {};
+      const before = {};
+      const after = {};
+      for (const field of new Set(changedFields)) {
+        if (field.startsWith('_')) continue;
+        if (Object.hasOwn(previous, field)) before[field] = previous[field];
+        if (state[field] !== undefined) after[field] = JSON.parse(JSON.stringify(state[field]));
+      }
+      patch = diffJson(before, after);
+      // The baseline is private to the hub (callers get copies): update it in place
+      for (const field of Object.keys(before)) delete previous[field];
+      Object.assign(previous, after);
+    } else {
+      const current = this._toPlainFopState(fopName);
+      this._fopBaselines[fopName] = current;
+      patch = diffJson(previous, current);
+    }
+
+    history.push({ fromVersion, version, patch });
+    if (history.length > this.fopHistoryLimit) {
+      history.splice(0, history.length - this.fopHistoryLimit);
+    }
   }
   
   /**
-   * Update session status tracking based on incoming message
-   * Detects when a session is done (GroupDone event) and when it's reopened
-   * 
-   * A session returns to "in progress" (not done) when ANY of the following is received:
-   * - Timer event (athleteTimerEventType)
-   * - Decision event (decisionEventType)
-   * - Any other update event (uiEvent that is not GroupDone)
-   * 
+   * Advance the per-FOP session lifecycle based on an incoming message
+   * Phases: inactive, introduction, snatch, break_before_cj, clean_jerk, done, reopened
+   * (see utils/session-lifecycle.js for the transitions).
+   *
+   * Every phase change emits 'session:phase'; entering done also emits 'session:done'
+   * and entering reopened also emits 'session:reopened'. Payload:
+   * { fop, sessionName, phase, previousPhase, timestamp }
+   *
    * @param {string} fopName - Name of the FOP
-   * @param {Object} params - Message parameters
+   * @param {Object} params - Incoming message payload
+   * @param {Object} [state=params] - Merged FOP state after the message
    */
-  updateSessionStatus(fopName, params) {
-    const uiEvent = params.uiEvent;
-    const sessionName = params.sessionName || '';
-    const breakType = params.breakType || '';
-    
+  updateSessionStatus(fopName, params, state = params) {
+    const now = Date.now();
+
     // Initialize status if not exists
     if (!this.fopSessionStatus[fopName]) {
       this.fopSessionStatus[fopName] = {
+        phase: SESSION_PHASES.INACTIVE,
+        previousPhase: null,
+        phaseChangedAt: now,
         isDone: false,
         sessionName: '',
-        lastActivity: Date.now()
+        lastActivity: now
       };
     }
-    
+
     const status = this.fopSessionStatus[fopName];
-    const wasSessionDone = status.isDone;
-    
-    // Check if session is done
-    if (uiEvent === 'GroupDone' || breakType === 'GROUP_DONE') {
-      status.isDone = true;
-      status.sessionName = sessionName;
-      status.lastActivity = Date.now();
-      
-      if (!wasSessionDone) {
-        logger.log(`[Hub] 🏁 Session completed for FOP ${fopName} (session: ${sessionName || 'none'})`);
-      }
+    const currentPhase = status.phase || (status.isDone ? SESSION_PHASES.DONE : SESSION_PHASES.INACTIVE);
+    const incomingSession = params.sessionName || '';
+    const sameSession = !incomingSession || !status.sessionName || incomingSession === status.sessionName;
+
+    const phase = inferSessionPhase({ message: params, state, phase: currentPhase, sameSession });
+
+    // A done session keeps its name until it is reopened or another session starts
+    if (phase !== SESSION_PHASES.DONE || currentPhase !== SESSION_PHASES.DONE) {
+      status.sessionName = incomingSession || status.sessionName;
     }
-    // Check if session was reopened (any activity other than GroupDone while marked as done)
-    else if (status.isDone && (uiEvent || params.athleteTimerEventType || params.decisionEventType)) {
-      // Session is active again - could be timer, decision, or any other update
-      const previousSessionName = status.sessionName;
-      status.isDone = false;
-      status.sessionName = sessionName;
-      status.lastActivity = Date.now();
-      
-      logger.log(`[Hub] 🔄 Session reopened for FOP ${fopName} (was: ${previousSessionName}, now: ${sessionName || 'active'})`);
+    status.lastActivity = now;
+
+    if (phase === currentPhase) {
+      status.phase = phase;
+      status.isDone = phase === SESSION_PHASES.DONE;
+      return;
     }
-    // Normal activity update
-    else if (!status.isDone) {
-      status.sessionName = sessionName;
-      status.lastActivity = Date.now();
+
+    status.previousPhase = currentPhase;
+    status.phase = phase;
+    status.phaseChangedAt = now;
+    status.isDone = phase === SESSION_PHASES.DONE;
+
+    const event = { fop: fopName, sessionName: status.sessionName, phase, previousPhase: currentPhase, timestamp: now };
+    if (phase === SESSION_PHASES.DONE) {
+      logger.log(`[Hub] 🏁 Session completed for FOP ${fopName} (session: ${status.sessionName || 'none'})`);
+      this.emitEvent('session:done', event);
+    } else if (phase === SESSION_PHASES.REOPENED) {
+      logger.log(`[Hub] 🔄 Session reopened for FOP ${fopName} (session: ${status.sessionName || 'active'})`);
+      this.emitEvent('session:reopened', event);
+    } else {
+      logger.log(`[Hub] Session phase for FOP ${fopName}: ${currentPhase} -> ${phase} (session: ${status.sessionName || 'none'})`);
     }
+    this.emitEvent('session:phase', event);
+    this.broadcast({ type: 'session_phase', ...event });
   }
   
   /**
    * Get session status for a specific FOP
    * @param {Object} options - Options object
    * @param {string} options.fopName - Name of the FOP
-   * @returns {Object} Session status { isDone, sessionName, lastActivity }
+   * @returns {Object} Session status { phase, previousPhase, phaseChangedAt, isDone, sessionName, lastActivity }
    */
   getSessionStatus({ fopName = 'A' } = {}) {
-    return this.fopSessionStatus[fopName] || { 
-      isDone: false, 
-      sessionName: '', 
-      lastActivity: 0 
+    const status = this.fopSessionStatus[fopName];
+    if (!status) {
+      return {
+        phase: SESSION_PHASES.INACTIVE,
+        previousPhase: null,
+        phaseChangedAt: 0,
+        isDone: false,
+        sessionName: '',
+        lastActivity: 0
+      };
+    }
+    // Snapshots written before phases existed only carry isDone
+    return {
+      previousPhase: null,
+      phaseChangedAt: 0,
+      ...status,
+      phase: status.phase || (status.isDone ? SESSION_PHASES.DONE : SESSION_PHASES.INACTIVE)
     };
   }
   
+  /**
+   * Attempts decided on the platforms, oldest first
+   * Survives refresh() and, when snapshots are enabled, restarts.
+   * @param {Object} [options] - Options object
+   * @param {string} [options.fopName] - Only this FOP (default: all FOPs)
+   * @param {string} [options.sessionName] - Only this session
+   * @param {string} [options.athleteKey] - Only this athlete
+   * @param {number} [options.since] - Only attempts decided at or after this timestamp
+   * @returns {Array<Object>} Lift log entries (see utils/lift-log.js for the shape)
+   */
+  getLiftLog({ fopName, sessionName, athleteKey, since } = {}) {
+    return this._liftLog.query({ fopName, sessionName, athleteKey, since });
+  }
+
+  /**
+   * Forget recorded attempts (e.g. before reusing the tracker for another competition)
+   * @param {Object} [options] - Options object
+   * @param {string} [options.fopName] - Only this FOP (default: all FOPs)
+   */
+  clearLiftLog({ fopName } = {}) {
+    this._liftLog.clear({ fopName });
+  }
+
   /**
    * Check if a session is done for a specific FOP
    * @param {Object} options - Options object
@@ -2334,15 +3688,16 @@ export class CompetitionHub extends EventEmitter {
     if (Object.keys(this.translations).length > 0) {
       this.translationsReady = true;
       logger.log(`[Hub] ✅ Translations loaded: ${Object.keys(this.translations).length} locales`);
+      this.emitEvent('translations:loaded', {
+        count: Object.keys(this.translations).length,
+        timestamp: Date.now()
+      });
       
       // Check if hub is now fully ready (database + translations)
       if (this.isReady()) {
         logger.log('[Hub] ✅ HUB READY - Database and translations loaded');
-        this.emit('hub:ready');
-        
-        
-        // Also emit hub_ready_broadcast event for EventEmitter consumers
-        this.emit('hub_ready_broadcast', {
+        // Also emitted as hub_ready_broadcast (deprecated name) for older EventEmitter consumers
+        this.emitEvent('hub:ready', {
           message: 'Hub ready - database and translations loaded',
           timestamp: Date.now()
         });
@@ -2439,11 +3794,38 @@ export class CompetitionHub extends EventEmitter {
    * 1. Exact match (e.g., 'fr-CA')
    * 2. Base language (e.g., 'fr' from 'fr-CA')
    * 3. English fallback (e.g., 'en')
+   * Tracker-local overrides of the base language and of the locale are applied on top.
    * 
    * @param {string} locale - Language locale code (default 'en')
    * @returns {object|null} Translation map with fallback chain applied
    */
   getTranslations({ locale = 'en' } = {}) {
+    const base = this._getOwlcmsTranslations(locale);
+    const sources = this._getOverrideSources(String(locale || 'en'));
+    if (sources.length === 0) {
+      return base;
+    }
+
+    let views = this._translationViews.get(base);
+    if (!views) {
+      views = new Map();
+      this._translationViews.set(base, views);
+    }
+    const sourcesKey = sources.map(({ layer, locale: source }) => `${layer}:${source}`).join('|');
+    const cached = views.get(sourcesKey);
+    if (cached && cached.revision === this._translationOverridesRevision) {
+      return cached.map;
+    }
+    const map = Object.assign({ ...base }, ...sources.map(({ overrides }) => overrides));
+    views.set(sourcesKey, { revision: this._translationOverridesRevision, map });
+    return map;
+  }
+
+  /**
+   * OWLCMS translations of a locale, with the fallback chain (no overrides)
+   * @private
+   */
+  _getOwlcmsTranslations(locale = 'en') {
     const localeStr = String(locale || 'en');
     // 1. Try exact match
     if (this.translations[localeStr]) {
@@ -2483,17 +3865,30 @@ export class CompetitionHub extends EventEmitter {
    * 3. English fallback
    * 4. '!Key' pattern for missing keys
    * 
+   * With arguments, the translation is formatted as a Java MessageFormat pattern
+   * (choice, number and date formats, locale-aware through Intl). Without arguments
+   * it is returned as stored.
+   * 
    * @param {string} key - Translation key (e.g., 'Scoreboard.Start')
    * @param {string} locale - Language locale code (default 'en')
+   * @param {...any} args - MessageFormat arguments ({0} is the first one)
    * @returns {string} Translated string or '!Key' if not found
+   * 
+   * @example
+   * hub.translate('AttemptBoard_attempt_number', 'en', 2) // "2<sup>nd</sup> att."
    */
-  translate(key, locale = 'en') {
+  translate(key, locale = 'en', ...args) {
     if (!key) return '';
     
     const translationMap = this.getTranslations({ locale });
+    const template = translationMap[key];
     
-    // Return translation if found, otherwise '!Key' to make missing translations visible
-    return translationMap[key] ?? `!${key}`;
+    // Return '!Key' to make missing translations visible
+    if (template === undefined || template === null) {
+      this._recordMissingTranslation(String(locale || 'en'), key);
+      return `!${key}`;
+    }
+    return args.length > 0 ? formatMessageForLocale(locale, template, ...args) : template;
   }
 
   /**
@@ -2504,6 +3899,155 @@ export class CompetitionHub extends EventEmitter {
     return Object.keys(this.translations).sort();
   }
 
+  /**
+   * Keys that translate() could not find, per locale, most requested first
+   * Only counted once OWLCMS translations are loaded. Kept across refresh().
+   * @param {Object} [options] - Options object
+   * @param {string} [options.locale] - Only this locale (as passed to translate())
+   * @returns {Array<Object>} { locale, key, count, firstSeen, lastSeen } (timestamps in ms)
+   */
+  getMissingTranslationKeys({ locale } = {}) {
+    const entries = [];
+    for (const [missingLocale, keys] of this._missingTranslations) {
+      if (locale && missingLocale !== locale) continue;
+      for (const [key, stats] of keys) {
+        entries.push({ locale: missingLocale, key, ...stats });
+      }
+    }
+    return entries.sort((a, b) => b.count - a.count || a.locale.localeCompare(b.locale) || a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Forget the missing translation statistics
+   */
+  clearMissingTranslationKeys() {
+    this._missingTranslations.clear();
+  }
+
+  /**
+   * Count a lookup of a missing key (bounded: new keys are ignored past MAX_MISSING_TRANSLATION_KEYS)
+   * @private
+   */
+  _recordMissingTranslation(locale, key) {
+    if (Object.keys(this.translations).length === 0) {
+      return; // Everything is missing until OWLCMS sends translations_zip
+    }
+    const now = Date.now();
+    let keys = this._missingTranslations.get(locale);
+    const stats = keys?.get(key);
+    if (stats) {
+      stats.count++;
+      stats.lastSeen = now;
+      return;
+    }
+    let total = 0;
+    for (const localeKeys of this._missingTranslations.values()) total += localeKeys.size;
+    if (total >= MAX_MISSING_TRANSLATION_KEYS) {
+      return;
+    }
+    if (!keys) {
+      keys = new Map();
+      this._missingTranslations.set(locale, keys);
+    }
+    keys.set(key, { count: 1, firstSeen: now, lastSeen: now });
+    logger.debug(`[Hub] Missing translation '${key}' for locale '${locale}'`);
+  }
+
+  /**
+   * Override translations from the tracker (layered above the override files and the OWLCMS data)
+   * Overrides survive refresh() and new translations_zip payloads.
+   * @param {Object} options - Options object
+   * @param {string} options.locale - Locale ('fr' also applies to 'fr-CA'; 'fr_CA' is accepted)
+   * @param {Object} options.translations - { key: text } (MessageFormat patterns like the OWLCMS ones)
+   * @param {boolean} [options.replace=false] - Replace the locale's previous API overrides instead of merging
+   * @returns {{ accepted: boolean, reason?: string, locale?: string, count?: number }}
+   */
+  setTranslationOverrides({ locale, translations, replace = false } = {}) {
+    const map = sanitizeOverrideMap(translations);
+    if (!locale || !map) {
+      return { accepted: false, reason: 'invalid_overrides' };
+    }
+    const key = normalizeOverrideLocale(locale);
+    const decoded = {};
+    for (const [translationKey, value] of Object.entries(map)) {
+      decoded[translationKey] = this.decodeHTMLEntities(value);
+    }
+    const api = this._translationOverrides.api;
+    api[key] = replace ? decoded : { ...api[key], ...decoded };
+    this._translationOverridesRevision++;
+    logger.log(`[Hub] Translation overrides for '${key}': ${Object.keys(api[key]).length} keys`);
+    return { accepted: true, locale: key, count: Object.keys(api[key]).length };
+  }
+
+  /**
+   * Remove API overrides (override files are reloaded with loadTranslationOverrides)
+   * @param {Object} [options] - Options object
+   * @param {string} [options.locale] - Only this locale (default: all)
+   */
+  clearTranslationOverrides({ locale } = {}) {
+    if (locale) {
+      delete this._translationOverrides.api[normalizeOverrideLocale(locale)];
+    } else {
+      this._translationOverrides.api = {};
+    }
+    this._translationOverridesRevision++;
+  }
+
+  /**
+   * Load the override files of a directory (one <locale>.json per locale), replacing the previously loaded files
+   * @param {Object} [options] - Options object
+   * @param {string} [options.dir] - Directory (default: <localFilesDir>/translations)
+   * @returns {{ dir: string, locales: Array<string>, files: number }}
+   */
+  loadTranslationOverrides({ dir } = {}) {
+    const overridesDir = dir || path.join(this.getLocalFilesDir() || path.join(process.cwd(), 'local'), 'translations');
+    const { dir: resolved, locales, files } = readTranslationOverrides(overridesDir);
+    const decoded = {};
+    for (const [locale, map] of Object.entries(locales)) {
+      decoded[locale] = {};
+      for (const [key, value] of Object.entries(map)) {
+        decoded[locale][key] = this.decodeHTMLEntities(value);
+      }
+    }
+    this._translationOverrides.files = decoded;
+    this._translationOverridesRevision++;
+    if (files.length > 0) {
+      logger.log(`[Hub] Loaded translation overrides from ${resolved}: ${Object.keys(decoded).join(', ')}`);
+    }
+    return { dir: resolved, locales: Object.keys(decoded).sort(), files: files.length };
+  }
+
+  /**
+   * Current overrides, by layer and locale
+   * @returns {{ files: Object, api: Object }}
+   */
+  getTranslationOverrides() {
+    return {
+      files: structuredClone(this._translationOverrides.files),
+      api: structuredClone(this._translationOverrides.api)
+    };
+  }
+
+  /**
+   * Override maps applying to a locale, in precedence order: base language then locale, files then API
+   * @private
+   * @returns {Array<{ layer: string, locale: string, overrides: Object }>} Empty when there are none
+   */
+  _getOverrideSources(locale) {
+    const normalized = normalizeOverrideLocale(locale);
+    const chain = normalized.includes('-') ? [normalized.split('-')[0], normalized] : [normalized];
+    const sources = [];
+    for (const layer of ['files', 'api']) {
+      for (const chainLocale of chain) {
+        const overrides = this._translationOverrides[layer][chainLocale];
+        if (overrides && Object.keys(overrides).length > 0) {
+          sources.push({ layer, locale: chainLocale, overrides });
+        }
+      }
+    }
+    return sources;
+  }
+
   /**
    * Mark flags data as loaded so we don't keep requesting them
    */
@@ -2574,9 +4118,11 @@ export class CompetitionHub extends EventEmitter {
     // If OWLCMS disconnected, any previously latched protocol mismatch is no longer actionable.
     // Clear it so consumers return to "waiting" mode until a new connection establishes.
     this._protocolError = null;
+    this._snapshotChecksum = null;
     this.state = null;
     this.databaseState = null;
     this.fopUpdates = {};
+    this._liftingOrderMismatches = {};
     this.databaseAthleteIndex = new Map();
     this.databaseTeamMap = new Map();
     this.lastDatabaseChecksum = null;
@@ -2589,13 +4135,18 @@ export class CompetitionHub extends EventEmitter {
     this.translations = {};
     this.lastTranslationsChecksum = null;
     this.translationsReady = false;
+    this._translationViews = new WeakMap();
+    // Translation overrides and missing-key statistics are kept (tracker-local)
+    // The lift log is kept: it describes what already happened on the platforms
     
     // Also emit as EventEmitter for consumers using .on()
-    this.emit('waiting', {
+    this.emitEvent('hub:waiting', {
       message: 'Waiting for competition data...',
       timestamp: Date.now()
     });
     this._hasConfirmedFops = false;
+    // Held-back FOP broadcasts describe the state being discarded
+    this._cancelPendingBroadcasts();
     this.broadcast({
       type: 'waiting',
       message: 'Waiting for competition data...',
@@ -2604,40 +4155,162 @@ export class CompetitionHub extends EventEmitter {
   }
 
   /**
-   * Compute team rankings (hub-specific logic)
+   * Team standings computed from the database athletes
+   * Team sizes default to the competition settings (mensTeamSize / womensTeamSize).
+   * @param {object} [params]
+   * @param {string} [params.gender='combined'] - 'M' | 'F' | 'combined' (men's and women's contributions added)
+   * @param {string} [params.scoring='points'] - 'points' (IWF place points) | 'total' | 'sinclair'
+   * @param {number} [params.mensTeamSize] - Men counted per team (0 = all)
+   * @param {number} [params.womensTeamSize] - Women counted per team (0 = all)
+   * @param {string} [params.championshipType] - Only score participations of this championship type
+   * @param {Array<number>} [params.teamPoints] - Points for 1st, 2nd and 3rd place (default [28, 25, 23])
+   * @returns {Array<object>} Teams best first: { rank, name, teamId, score, menScore, womenScore, athletes, memberCount, tieBreak },
+   *   plus the deprecated totalScore (= score) and topAthletes (= athletes) of the original return shape
    */
-  getTeamRankings() {
-    if (!this.state?.athletes) return [];
+  getTeamRankings({
+    gender = 'combined',
+    scoring = 'points',
+    mensTeamSize,
+    womensTeamSize,
+    championshipType = null,
+    teamPoints
+  } = {}) {
+    const athletes = this.databaseState?.athletes;
+    if (!athletes || athletes.length === 0) return [];
+
+    const competition = this.databaseState.competition || {};
+    const standings = computeTeamRankings(athletes, {
+      gender,
+      scoring,
+      mensTeamSize: mensTeamSize ?? (Number(competition.mensTeamSize) || 0),
+      womensTeamSize: womensTeamSize ?? (Number(competition.womensTeamSize) || 0),
+      championshipType,
+      teamPoints,
+      resolveTeamName: (teamId) => this._getTeamNameById(teamId)
+    });
+    // Deprecated aliases kept for plugins written against the original { name, totalScore, topAthletes } shape
+    return standings.map(team => ({ ...team, totalScore: team.score, topAthletes: team.athletes }));
+  }
 
-    const teamScores = {};
-    
-    for (const athlete of this.state.athletes) {
-      if (!athlete.team || !athlete.total) continue;
-      
-      if (!teamScores[athlete.team]) {
-        teamScores[athlete.team] = {
-          name: athlete.team,
-          athletes: [],
-          totalScore: 0
-        };
-      }
-      
-      teamScores[athlete.team].athletes.push(athlete);
-    }
+  /**
+   * Medal table computed from the database athletes
+   * Every participation counts, so athletes registered in several age groups medal in each category.
+   * @param {object} [params]
+   * @param {string} [params.scope='total'] - 'total' | 'allLifts' (snatch, clean & jerk and total medals)
+   * @param {string} [params.groupBy='team'] - 'team' | 'federation'
+   * @param {string} [params.sortBy='gold'] - 'gold' (gold, silver, bronze) | 'total' (medal count first)
+   * @returns {{ scope, groupBy, sortBy, provisional, categories: Array<object>, table: Array<object> }}
+   */
+  getMedalTable({ scope = 'total', groupBy = 'team', sortBy = 'gold' } = {}) {
+    const categories = this.databaseState?.categories || [];
+    const categoryNames = new Map(categories.map(category => [category.code, category.name]));
+    return computeMedalTable(this.databaseState?.athletes || [], {
+      scope,
+      groupBy,
+      sortBy,
+      categoryOrder: categories.map(category => category.code),
+      resolveCategoryName: (categoryCode) => categoryNames.get(categoryCode) || null,
+      resolveTeamName: (teamId) => this._getTeamNameById(teamId)
+    });
+  }
 
-    // Calculate team scores (top 3 athletes per team)
-    for (const team of Object.values(teamScores)) {
-      const sorted = team.athletes
-        .filter(a => a.total > 0)
-        .sort((a, b) => b.total - a.total);
-      
-      const top3 = sorted.slice(0, 3);
-      team.totalScore = top3.reduce((sum, a) => sum + a.total, 0);
-      team.topAthletes = top3;
+  /**
+   * Rank every athlete of a category (all sessions) from the attempt results the hub holds
+   * Fresher than the OWLCMS rank fields, which only change with a database push.
+   * Ties go to the athlete who reached the result first (IWF rule, from the *LiftTime fields).
+   * @param {object} params
+   * @param {string} params.categoryCode - Category code (e.g. 'SR_M89')
+   * @returns {Array<object>} Athletes by total rank, each with snatch, cleanJerk and total { weight, time, attempt, rank }
+   */
+  computeCategoryRankings({ categoryCode } = {}) {
+    return computeCategoryRankings(this.databaseState?.athletes || [], { categoryCode });
+  }
+
+  /**
+   * What an athlete needs: the clean & jerk for gold, silver and bronze in the total of their category,
+   * and with a Sinclair, QPoints or GAMX competition, the points targets against their gender.
+   * @param {object} params
+   * @param {string|number} params.athleteKey - Athlete key
+   * @returns {object|null} Targets (see scoring/targets.js), null for an unknown athlete
+   */
+  computeTargets({ athleteKey } = {}) {
+    return computeTargets(this.databaseState?.athletes || [], {
+      athleteKey,
+      scoringSystem: this.databaseState?.competition?.scoringSystem || ''
+    });
+  }
+
+  /**
+   * Projected final standings of a category (Monte Carlo simulation of the remaining attempts)
+   * Make probabilities come from each athlete's attempts in the lift log, default rates otherwise.
+   * @param {object} params
+   * @param {string} params.categoryCode - Category code
+   * @param {number} [params.iterations=1000] - Simulated outcomes (capped at 100000)
+   * @param {number} [params.seed] - Seed for reproducible results (e.g. the same graphic on several screens)
+   * @returns {{ categoryCode, iterations, athletes: Array<object> }} Each athlete's podium probabilities,
+   *   expected total and expected rank
+   */
+  getProjectedStandings({ categoryCode, iterations = 1000, seed } = {}) {
+    return projectStandings(this.databaseState?.athletes || [], {
+      categoryCode,
+      iterations,
+      liftLog: this._liftLog.query(),
+      random: seed === undefined ? Math.random : seededRandom(seed)
+    });
+  }
+
+  /**
+   * Lifting order computed from the attempt fields (IWF rules), without relying on OWLCMS
+   * @param {object} [params]
+   * @param {string} [params.fopName='A'] - FOP whose current session athletes are ordered
+   * @param {string} [params.sessionName] - Order the database athletes of this session instead
+   *   (predicts the order of a session that has not started)
+   * @returns {Array<object>} Next attempts in order: { athleteKey, fullName, startNumber, liftType, attemptNumber, requestedWeight, ... }
+   */
+  computeLiftingOrder({ fopName = 'A', sessionName } = {}) {
+    if (sessionName) {
+      const athletes = (this.databaseState?.athletes || []).filter(athlete => athlete.sessionName === sessionName);
+      return computeLiftingOrder(athletes);
     }
+    return computeLiftingOrder(this.fopUpdates[fopName]?._sessionAthletesFlat || []);
+  }
+
+  /**
+   * Compare the lifting order OWLCMS sent for a FOP with the computed one
+   * @param {object} [params]
+   * @param {string} [params.fopName='A'] - FOP name
+   * @returns {{ fop, sessionName, matches, expected, received, firstDifference }}
+   *   expected/received are athlete keys of the athletes with attempts left
+   */
+  checkLiftingOrder({ fopName = 'A' } = {}) {
+    const update = this.fopUpdates[fopName];
+    const receivedKeys = (update?._liftingOrder?.keys || [])
+      .filter(entry => !entry.isSpacer)
+      .map(entry => entry.athleteKey);
+    return {
+      fop: fopName,
+      sessionName: update?.sessionName || null,
+      ...compareLiftingOrders(this.computeLiftingOrder({ fopName }), receivedKeys)
+    };
+  }
 
-    return Object.values(teamScores)
-      .sort((a, b) => b.totalScore - a.totalScore);
+  /**
+   * Emit liftingOrder:mismatch once per distinct disagreement
+   * @private
+   */
+  _verifyLiftingOrder(fopName) {
+    const check = this.checkLiftingOrder({ fopName });
+    if (check.matches) {
+      delete this._liftingOrderMismatches[fopName];
+      return;
+    }
+    const signature = `${check.expected.join(',')}|${check.received.join(',')}`;
+    if (this._liftingOrderMismatches[fopName] === signature) {
+      return;
+    }
+    this._liftingOrderMismatches[fopName] = signature;
+    logger.warn(`[Hub] ⚠️ Lifting order on FOP ${fopName} differs from the IWF rules at position ${check.firstDifference + 1}: expected ${check.expected[check.firstDifference]}, OWLCMS has ${check.received[check.firstDifference]}`);
+    this.emitEvent('liftingOrder:mismatch', { ...check, timestamp: Date.now() });
   }
 
   /**
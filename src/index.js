@@ -14,29 +14,34 @@ if (!globalThis.__competitionHub) {
 
 export const competitionHub = globalThis.__competitionHub;
 
+// Hub class, for processes hosting several independent competitions
+// (each instance attached on its own WebSocket path with its own local files directory)
+export { CompetitionHub };
+
 // Logger facade: defaults to console, pluggable via setLogger
 export { logger, setLogger, getLogger } from './utils/logger.js';
 
 // Export binary message handler for WebSocket integration
 export { handleBinaryMessage } from './websocket/binary-handler.js';
 
+// Message journal and replay (reproduce field sessions)
+export { MessageJournal, readJournal } from './utils/message-journal.js';
+export { ReplayPlayer } from './utils/replay-player.js';
+
 // Export WebSocket control functions
-export { closeConnection, requestResources } from './websocket-server.js';
-
-// Export event types enum
-export const EVENT_TYPES = {
-  DATABASE: 'database',
-  UPDATE: 'update',
-  TIMER: 'timer',
-  DECISION: 'decision',
-  FLAGS_LOADED: 'flags:loaded',
-  LOGOS_LOADED: 'logos:loaded',
-  TRANSLATIONS_LOADED: 'translations:loaded',
-  DATABASE_READY: 'database:ready',
-  HUB_READY: 'hub:ready',
-  SESSION_DONE: 'session:done',
-  SESSION_REOPENED: 'session:reopened'
-};
+export { closeConnection, requestResources, getConnections, getReadiness } from './websocket-server.js';
+
+// Server-Sent Events endpoint for browser displays (Node http, Express, SvelteKit)
+export { createSseHandler } from './sse-handler.js';
+
+// Read-only REST API over the hub state
+export { createRestHandler } from './rest-handler.js';
+
+// Event names and payload shapes (EVENT_TYPES is derived from EVENT_REGISTRY)
+export { EVENT_TYPES, EVENT_REGISTRY, isRegisteredEvent, resolveEventName } from './utils/event-registry.js';
+
+// Session lifecycle phases reported by getSessionStatus() and session:* events
+export { SESSION_PHASES } from './utils/session-lifecycle.js';
 
 // Re-export utilities for convenience
 export { getHeaderLogoUrl, getFlagUrl, getLogoUrl, getPictureUrl } from './utils/asset-resolver.js';
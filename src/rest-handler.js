@@ -0,0 +1,246 @@
+/**
+ * Read-only REST API over the hub state
+ *
+ * Versioned JSON routes for consumers that poll instead of subscribing:
+ *
+ *   GET /api/v1/fops                          FOP list with versions and session status
+ *   GET /api/v1/fops/:fop                     FOP state (getFopUpdate without derived fields)
+ *   GET /api/v1/fops/:fop/current-athlete     also next-athlete, previous-athlete
+ *   GET /api/v1/fops/:fop/start-order         also lifting-order (?includeSpacer=true)
+ *   GET /api/v1/athletes                      queryAthletes() (query parameters of the same names)
+ *   GET /api/v1/teams
+ *   GET /api/v1/timetable                     sessions (?platform=&date=) and officials timetable
+ *   GET /api/v1/translations                  available locales
+ *   GET /api/v1/translations/:locale
+ *
+ * Every response carries an ETag: FOP routes use getFopStateVersion(), competition-wide routes
+ * the versions of all FOPs, translations a hash of their content. All of them start with the hub
+ * run id, since versions restart at 0 in a new process. A matching If-None-Match gets 304 without
+ * the body being built, so clients can poll cheaply.
+ *
+ *   Node http / Express:  app.use((req, res, next) => api(req, res) || next())
+ *   SvelteKit:            export const GET = ({ request }) => api.respond(request);
+ */
+
+import { createHash } from 'crypto';
+
+const hash = (text) => createHash('sha1').update(text).digest('base64url').slice(0, 20);
+
+// Same filter as the hub uses for snapshots and init messages: underscore fields hold Sets and maps
+function withoutDerivedFields(update) {
+	if (!update) {
+		return null;
+	}
+	return Object.fromEntries(Object.entries(update).filter(([key]) => !key.startsWith('_')));
+}
+
+function fopVersion(hub, fopName) {
+	return hub.getFopStateVersion({ fopName });
+}
+
+// Changes whenever any FOP state or the database changes
+function competitionTag(hub) {
+	const versions = hub.getAvailableFOPs().map(fopName => `${fopName}:${fopVersion(hub, fopName)}`);
+	return `s-${hash(`${hub.getRunId()}|${versions.join(',')}|${hub.lastDatabaseLoad || 0}`)}`;
+}
+
+const FOP_RESOURCES = {
+	'': (hub, fopName) => ({
+		sessionStatus: hub.getSessionStatus({ fopName }),
+		update: withoutDerivedFields(hub.getFopUpdate({ fopName }))
+	}),
+	'current-athlete': (hub, fopName) => ({ athlete: hub.getCurrentAthlete({ fopName }) }),
+	'next-athlete': (hub, fopName) => ({ athlete: hub.getNextAthlete({ fopName }) }),
+	'previous-athlete': (hub, fopName) => ({ athlete: hub.getPreviousAthlete({ fopName }) }),
+	'start-order': (hub, fopName, query) => ({
+		athletes: hub.getStartOrderEntries({ fopName, includeSpacer: query.get('includeSpacer') === 'true' })
+	}),
+	'lifting-order': (hub, fopName, query) => ({
+		athletes: hub.getLiftingOrderEntries({ fopName, includeSpacer: query.get('includeSpacer') === 'true' })
+	})
+};
+
+const COMPETITION_RESOURCES = {
+	fops: (hub) => ({
+		fops: hub.getAvailableFOPs().map(name => ({
+			name,
+			version: fopVersion(hub, name),
+			sessionStatus: hub.getSessionStatus({ fopName: name })
+		}))
+	}),
+	athletes: (hub, query) => {
+		const limit = query.get('limit');
+		return {
+			athletes: hub.queryAthletes({
+				team: query.get('team') || undefined,
+				categoryCode: query.get('categoryCode') || undefined,
+				ageGroup: query.get('ageGroup') || undefined,
+				sessionName: query.get('sessionName') || undefined,
+				gender: query.get('gender') || undefined,
+				text: query.get('text') || undefined,
+				sortBy: query.get('sortBy') || undefined,
+				limit: limit && /^\d+$/.test(limit) ? Number(limit) : undefined
+			})
+		};
+	},
+	teams: (hub) => {
+		const database = hub.getDatabaseState();
+		const teams = database?.teams || database?.database?.teams || [];
+		return {
+			teams: teams
+				.filter(team => team && team.id !== null && team.id !== undefined)
+				.map(team => ({ id: team.id, name: hub.getTeamNameById({ teamId: team.id }) }))
+		};
+	},
+	timetable: (hub, query) => ({
+		sessions: hub.getSchedule({ platform: query.get('platform') || undefined, date: query.get('date') || undefined }),
+		officials: hub.getTimetable()
+	})
+};
+
+/**
+ * Find the resource of a path relative to the base path
+ * @returns {{ tag: function(): string|null, body: function(): object }|null} tag() null means "hash the body"
+ */
+function route(hub, segments, query) {
+	const [resource, name, subresource = '', ...rest] = segments;
+	if (rest.length > 0) {
+		return null;
+	}
+
+	if (resource === 'fops' && name !== undefined) {
+		const build = FOP_RESOURCES[subresource];
+		const known = hub.getAvailableFOPs().includes(name) || hub.getFopUpdate({ fopName: name });
+		if (!build) {
+			return null;
+		}
+		if (!known) {
+			return { status: 404, body: () => ({ error: 'unknown_fop', fop: name }) };
+		}
+		return {
+			tag: () => `${hash(`${hub.getRunId()}|${name}`)}-${fopVersion(hub, name)}`,
+			body: () => ({ fop: name, version: fopVersion(hub, name), ...build(hub, name, query) })
+		};
+	}
+
+	if (resource === 'translations' && segments.length <= 2) {
+		return {
+			tag: () => null,
+			body: () => (name === undefined
+				? { locales: hub.getAvailableLocales() }
+				: { locale: name, translations: hub.getTranslations({ locale: name }) })
+		};
+	}
+
+	const build = COMPETITION_RESOURCES[resource];
+	if (!build || segments.length > 1) {
+		return null;
+	}
+	return { tag: () => competitionTag(hub), body: () => build(hub, query) };
+}
+
+function matchesETag(ifNoneMatch, etag) {
+	if (!ifNoneMatch) {
+		return false;
+	}
+	const opaque = (value) => value.trim().replace(/^W\//, '');
+	return ifNoneMatch.split(',').some(candidate => candidate.trim() === '*' || opaque(candidate) === opaque(etag));
+}
+
+/**
+ * Create a request handler for the read-only REST API
+ * @param {object} options
+ * @param {object} options.hub - Hub to expose
+ * @param {string} [options.basePath='/api/v1'] - Prefix of every route (carries the API version)
+ * @returns {function(object, object): boolean} handler(req, res), true when the request was answered
+ *   (false for paths outside basePath); handler.respond(request) serves a Fetch API Request and
+ *   returns a Response, or null outside basePath
+ */
+export function createRestHandler({ hub, basePath = '/api/v1' } = {}) {
+	if (!hub) {
+		throw new Error('createRestHandler requires hub option');
+	}
+	const prefix = basePath.replace(/\/+$/, '');
+
+	// Answer a request: null when the path is outside basePath, else { status, headers, body }
+	function resolve(method, url, ifNoneMatch) {
+		let parsed;
+		try {
+			parsed = new URL(url || '/', 'http://localhost');
+		} catch (error) {
+			return null; // Not a path this handler could serve ('//', ...)
+		}
+		const { pathname, searchParams } = parsed;
+		if (pathname !== prefix && !pathname.startsWith(`${prefix}/`)) {
+			return null;
+		}
+		if (method !== 'GET' && method !== 'HEAD') {
+			return { status: 405, headers: { Allow: 'GET, HEAD' }, body: null };
+		}
+
+		let segments;
+		try {
+			segments = pathname.slice(prefix.length).split('/').filter(Boolean).map(decodeURIComponent);
+		} catch (error) {
+			return { status: 400, headers: {}, body: JSON.stringify({ error: 'bad_request', reason: 'invalid_path_encoding', path: pathname }) };
+		}
+		const resource = route(hub, segments, searchParams);
+		if (!resource) {
+			return { status: 404, headers: {}, body: JSON.stringify({ error: 'not_found', path: pathname }) };
+		}
+		if (resource.status) {
+			return { status: resource.status, headers: {}, body: JSON.stringify(resource.body()) };
+		}
+
+		let tag = resource.tag();
+		if (tag !== null && matchesETag(ifNoneMatch, `W/"${tag}"`)) {
+			return { status: 304, headers: { ETag: `W/"${tag}"` }, body: null };
+		}
+		const body = JSON.stringify(resource.body());
+		if (tag === null) {
+			tag = `c-${hash(`${hub.getRunId()}|${body}`)}`;
+			if (matchesETag(ifNoneMatch, `W/"${tag}"`)) {
+				return { status: 304, headers: { ETag: `W/"${tag}"` }, body: null };
+			}
+		}
+		return { status: 200, headers: { ETag: `W/"${tag}"` }, body };
+	}
+
+	function headersFor(result) {
+		const headers = { 'Cache-Control': 'no-cache', ...result.headers };
+		if (result.body !== null) {
+			headers['Content-Type'] = 'application/json; charset=utf-8';
+		}
+		return headers;
+	}
+
+	function handler(req, res) {
+		const result = resolve(req.method, req.url, req.headers?.['if-none-match']);
+		if (!result) {
+			return false;
+		}
+		const headers = headersFor(result);
+		if (result.body !== null) {
+			headers['Content-Length'] = Buffer.byteLength(result.body);
+		}
+		res.writeHead(result.status, headers);
+		res.end(req.method === 'HEAD' ? undefined : result.body ?? undefined);
+		return true;
+	}
+
+	/**
+	 * Serve a Fetch API Request (SvelteKit, Deno-style handlers)
+	 * @param {Request} request
+	 * @returns {Response|null} null when the path is outside basePath
+	 */
+	handler.respond = (request) => {
+		const result = resolve(request.method, request.url, request.headers.get('if-none-match'));
+		if (!result) {
+			return null;
+		}
+		const body = request.method === 'HEAD' || result.status === 304 ? null : result.body;
+		return new Response(body, { status: result.status, headers: headersFor(result) });
+	};
+
+	return handler;
+}
@@ -0,0 +1,156 @@
+/**
+ * Category rankings computed from attempt results
+ *
+ * Ranks every athlete of a category across all its sessions (A/B groups) from the
+ * *ActualLift fields, without waiting for OWLCMS to push new snatchRank/totalRank values.
+ *
+ * IWF tie-break: at equal weight, the athlete who reached the result first ranks higher
+ * (time of the successful attempt; for the total, the attempt that completed it).
+ * Athletes without lift times fall back to the lower start number.
+ */
+
+export const LIFT_TYPES = ['snatch', 'cleanJerk'];
+
+/**
+ * Convert an OWLCMS lift time to milliseconds
+ * Accepts LocalDateTime arrays ([year, month, day, hour, minute, second, nanos]), ISO strings and numbers.
+ * @param {Array|string|number|null} value
+ * @returns {number|null}
+ */
+export function toLiftTimestamp(value) {
+	if (value === null || value === undefined || value === '') {
+		return null;
+	}
+	if (Array.isArray(value)) {
+		const [year, month = 1, day = 1, hour = 0, minute = 0, second = 0, nanos = 0] = value;
+		return Date.UTC(year, month - 1, day, hour, minute, second, Math.floor(nanos / 1e6));
+	}
+	if (typeof value === 'number') {
+		return Number.isFinite(value) ? value : null;
+	}
+	const parsed = Date.parse(value);
+	return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Best successful attempt of a lift
+ * @param {object} athlete - Database athlete
+ * @param {string} lift - 'snatch' | 'cleanJerk'
+ * @returns {{ weight: number, time: number|null, attempt: number|null }} weight 0 when no good lift
+ */
+export function bestLiftOf(athlete, lift) {
+	let best = { weight: 0, time: null, attempt: null };
+	for (let attempt = 1; attempt <= 3; attempt++) {
+		const weight = Number(athlete[`${lift}${attempt}ActualLift`]);
+		if (Number.isFinite(weight) && weight > best.weight) {
+			best = { weight, time: toLiftTimestamp(athlete[`${lift}${attempt}LiftTime`]), attempt };
+		}
+	}
+	if (best.weight === 0) {
+		// Records without attempt details still carry the best lift computed by OWLCMS
+		const reported = Number(athlete[lift === 'snatch' ? 'bestSnatch' : 'bestCleanJerk']);
+		if (Number.isFinite(reported) && reported > 0) {
+			best = { weight: reported, time: null, attempt: null };
+		}
+	}
+	return best;
+}
+
+/**
+ * Total and the time it was reached (both lifts needed)
+ * @param {object} athlete - Database athlete
+ * @returns {{ weight: number, time: number|null }}
+ */
+export function totalOf(athlete) {
+	const snatch = bestLiftOf(athlete, 'snatch');
+	const cleanJerk = bestLiftOf(athlete, 'cleanJerk');
+	if (snatch.weight === 0 || cleanJerk.weight === 0) {
+		return { weight: 0, time: null };
+	}
+	const times = [snatch.time, cleanJerk.time].filter((time) => time !== null);
+	return { weight: snatch.weight + cleanJerk.weight, time: times.length === 2 ? Math.max(...times) : null };
+}
+
+/**
+ * Whether an athlete competes in a category (registration category or any participation)
+ * @param {object} athlete - Database athlete
+ * @param {string} categoryCode
+ * @returns {boolean}
+ */
+export function isInCategory(athlete, categoryCode) {
+	return athlete.categoryCode === categoryCode ||
+		(athlete.participations || []).some((participation) => participation.categoryCode === categoryCode);
+}
+
+function compareStartNumbers(a, b) {
+	const first = Number(a) || Infinity;
+	const second = Number(b) || Infinity;
+	return first === second ? 0 : first - second;
+}
+
+/**
+ * Compare two results: heavier first, then earlier, then lower start number
+ */
+export function compareResults(a, b) {
+	if (b.weight !== a.weight) return b.weight - a.weight;
+	if (a.time !== b.time) {
+		if (a.time === null) return 1;
+		if (b.time === null) return -1;
+		return a.time - b.time;
+	}
+	return compareStartNumbers(a.startNumber, b.startNumber);
+}
+
+function assignRanks(rows, field) {
+	const ranked = rows
+		.filter((row) => row[field].weight > 0)
+		.sort((a, b) => compareResults(
+			{ ...a[field], startNumber: a.startNumber },
+			{ ...b[field], startNumber: b.startNumber }
+		));
+	ranked.forEach((row, index) => {
+		row[field].rank = index + 1;
+	});
+}
+
+/**
+ * Rank the athletes of a category
+ * @param {Array<object>} athletes - Database athletes (databaseState.athletes)
+ * @param {object} params
+ * @param {string} params.categoryCode - Category code (e.g. 'SR_M89')
+ * @returns {Array<object>} Athletes by total rank (unranked last):
+ *   { key, fullName, teamName, sessionName, startNumber, lotNumber, bodyWeight,
+ *     snatch: { weight, time, attempt, rank }, cleanJerk: { ... }, total: { weight, time, rank } }
+ *   rank is null without a result for that lift.
+ */
+export function computeCategoryRankings(athletes = [], { categoryCode } = {}) {
+	if (!categoryCode) {
+		return [];
+	}
+
+	const rows = athletes
+		.filter((athlete) => isInCategory(athlete, categoryCode))
+		.map((athlete) => ({
+			key: athlete.key ?? athlete.id ?? null,
+			fullName: athlete.fullName || athlete.name || '',
+			teamName: athlete.teamName || null,
+			sessionName: athlete.sessionName || null,
+			startNumber: athlete.startNumber ?? null,
+			lotNumber: athlete.lotNumber ?? null,
+			bodyWeight: athlete.bodyWeight ?? null,
+			snatch: { ...bestLiftOf(athlete, 'snatch'), rank: null },
+			cleanJerk: { ...bestLiftOf(athlete, 'cleanJerk'), rank: null },
+			total: { ...totalOf(athlete), rank: null }
+		}));
+
+	assignRanks(rows, 'snatch');
+	assignRanks(rows, 'cleanJerk');
+	assignRanks(rows, 'total');
+
+	const byRank = (a, b) => (a === b ? 0 : (a ?? Infinity) - (b ?? Infinity));
+	return rows.sort((a, b) =>
+		byRank(a.total.rank, b.total.rank) ||
+		byRank(a.snatch.rank, b.snatch.rank) ||
+		byRank(a.cleanJerk.rank, b.cleanJerk.rank) ||
+		compareStartNumbers(a.startNumber, b.startNumber));
+}
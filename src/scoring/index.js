@@ -5,10 +5,19 @@
  * - Sinclair 2020 and 2024
  * - QPoints
  * - GAMX and GAMX2
- * - Team points calculation
+ * - Team points calculation and team rankings
+ * - Medal table
+ * - Category rankings with IWF tie-breaks
+ * - Medal and points targets
+ * - Monte Carlo medal projections
  */
 
 export { calculateSinclair2024, calculateSinclair2020, getMastersAgeFactor } from './sinclair-coefficients.js';
 export { calculateQPoints } from './qpoints-coefficients.js';
 export { calculateGamx, Variant } from './gamx2.js';
 export { calculateTeamPoints } from './team-points-formula.js';
+export { computeTeamRankings, TEAM_SCORING_METHODS } from './team-rankings.js';
+export { computeMedalTable, MEDAL_SCOPES, MEDAL_GROUPS } from './medal-table.js';
+export { computeCategoryRankings, bestLiftOf, totalOf, toLiftTimestamp } from './category-rankings.js';
+export { computeTargets, pointsFormulaOf } from './targets.js';
+export { projectStandings, seededRandom, DEFAULT_MAKE_RATES } from './projections.js';
@@ -0,0 +1,202 @@
+/**
+ * Medal table over database athletes
+ *
+ * Medals are taken from the ranks OWLCMS computes for each participation, so an athlete
+ * registered in several age groups (e.g. Junior and Senior) can medal in each of them.
+ * A lift earns a medal when its rank is 1-3 and the athlete has a result for that lift.
+ *
+ * A category's snatch medals are provisional while a weighed-in athlete of the category still
+ * has a snatch to take; clean & jerk and total medals while one still has a lift to take.
+ * An attempt is still to take when it has a requested weight (declaration, change or automatic
+ * progression); an attempt recorded as 0 means the athlete withdrew.
+ */
+
+import { requestedWeightOf } from '../utils/lifting-order.js';
+
+export const MEDAL_SCOPES = ['total', 'allLifts'];
+export const MEDAL_GROUPS = ['team', 'federation'];
+
+const MEDALS = ['gold', 'silver', 'bronze'];
+
+// attempts: lifts whose remaining attempts keep the medals provisional
+const LIFTS = {
+	snatch: { rank: 'snatchRank', value: 'bestSnatch', attempts: ['snatch'] },
+	cleanJerk: { rank: 'cleanJerkRank', value: 'bestCleanJerk', attempts: ['cleanJerk'] },
+	total: { rank: 'totalRank', value: 'total', attempts: ['snatch', 'cleanJerk'] }
+};
+
+function positive(value) {
+	const number = Number(value);
+	return Number.isFinite(number) && number > 0 ? number : 0;
+}
+
+function participationsOf(athlete) {
+	const participations = athlete.participations || [];
+	if (participations.length > 0) {
+		return participations;
+	}
+	// Older exports: the registration category with the athlete-level ranks
+	return athlete.categoryCode ? [{ categoryCode: athlete.categoryCode }] : [];
+}
+
+/**
+ * Whether the next attempt of a lift is still to be taken (not withdrawn, weight requested)
+ */
+function hasAttemptLeft(athlete, liftType) {
+	for (let attemptNumber = 1; attemptNumber <= 3; attemptNumber++) {
+		const actual = athlete[`${liftType}${attemptNumber}ActualLift`];
+		if (actual === null || actual === undefined || actual === '') {
+			return requestedWeightOf(athlete, liftType, attemptNumber) !== null;
+		}
+		if (Number(actual) === 0) {
+			return false; // Withdrew from the lift
+		}
+	}
+	return false;
+}
+
+/**
+ * Whether an athlete is still expected to lift (weighed in, an attempt of the lift left)
+ */
+function isPending(athlete, lift) {
+	if (athlete.bodyWeight !== undefined && !positive(athlete.bodyWeight)) {
+		return false; // Did not weigh in: not competing
+	}
+	return LIFTS[lift].attempts.some((liftType) => hasAttemptLeft(athlete, liftType));
+}
+
+function groupName(athlete, groupBy, resolveTeamName) {
+	const teamName = athlete.teamName || (athlete.team ? resolveTeamName(athlete.team) : null);
+	if (groupBy === 'federation') {
+		const code = String(athlete.federationCodes || '').split(/[\s,;]+/).find(Boolean);
+		return code || teamName;
+	}
+	return teamName;
+}
+
+function compareMedalCounts(sortBy) {
+	return (a, b) => {
+		if (sortBy === 'total' && b.total !== a.total) {
+			return b.total - a.total;
+		}
+		return b.gold - a.gold || b.silver - a.silver || b.bronze - a.bronze || b.total - a.total;
+	};
+}
+
+/**
+ * Compute category medals and the medal table
+ * @param {Array<object>} athletes - Database athletes (databaseState.athletes)
+ * @param {object} [options]
+ * @param {string} [options.scope='total'] - 'total' (total medals only) | 'allLifts' (snatch, clean & jerk and total)
+ * @param {string} [options.groupBy='team'] - 'team' (team name) | 'federation' (first federation code, else team name)
+ * @param {string} [options.sortBy='gold'] - 'gold' (gold, then silver, then bronze) | 'total' (medal count first)
+ * @param {Array<string>} [options.categoryOrder] - Category codes in display order (others follow, sorted by code)
+ * @param {Function} [options.resolveCategoryName] - (categoryCode) => display name
+ * @param {Function} [options.resolveTeamName] - (teamId) => name, for athletes without teamName
+ * @returns {{ scope, groupBy, sortBy, provisional, categories: Array<object>, table: Array<object> }}
+ */
+export function computeMedalTable(athletes = [], {
+	scope = 'total',
+	groupBy = 'team',
+	sortBy = 'gold',
+	categoryOrder = [],
+	resolveCategoryName = () => null,
+	resolveTeamName = () => null
+} = {}) {
+	if (!MEDAL_SCOPES.includes(scope)) {
+		throw new Error(`Unknown medal scope '${scope}' (expected ${MEDAL_SCOPES.join(', ')})`);
+	}
+	if (!MEDAL_GROUPS.includes(groupBy)) {
+		throw new Error(`Unknown medal grouping '${groupBy}' (expected ${MEDAL_GROUPS.join(', ')})`);
+	}
+	const lifts = scope === 'allLifts' ? ['snatch', 'cleanJerk', 'total'] : ['total'];
+
+	// Athletes of each category, with the participation that placed them there
+	const categoryEntries = new Map();
+	for (const athlete of athletes) {
+		for (const participation of participationsOf(athlete)) {
+			if (!participation.categoryCode) continue;
+			if (!categoryEntries.has(participation.categoryCode)) {
+				categoryEntries.set(participation.categoryCode, []);
+			}
+			categoryEntries.get(participation.categoryCode).push({ athlete, participation });
+		}
+	}
+
+	const orderIndex = new Map(categoryOrder.map((code, index) => [code, index]));
+	const categoryCodes = [...categoryEntries.keys()].sort((a, b) =>
+		(orderIndex.get(a) ?? Infinity) - (orderIndex.get(b) ?? Infinity) || a.localeCompare(b));
+
+	const nations = new Map();
+	const tally = (name, medal, provisional) => {
+		if (!nations.has(name)) {
+			nations.set(name, { name, gold: 0, silver: 0, bronze: 0, total: 0, provisional: { gold: 0, silver: 0, bronze: 0 } });
+		}
+		const nation = nations.get(name);
+		nation[medal]++;
+		nation.total++;
+		if (provisional) {
+			nation.provisional[medal]++;
+		}
+	};
+
+	const categories = categoryCodes.map((categoryCode) => {
+		const entries = categoryEntries.get(categoryCode);
+		const category = {
+			categoryCode,
+			categoryName: resolveCategoryName(categoryCode) ||
+				entries.find(({ athlete }) => athlete.categoryCode === categoryCode)?.athlete.categoryName ||
+				categoryCode,
+			provisional: false,
+			lifts: {}
+		};
+
+		for (const lift of lifts) {
+			const { rank, value } = LIFTS[lift];
+			const provisional = entries.some(({ athlete }) => isPending(athlete, lift));
+			const medals = entries
+				.map(({ athlete, participation }) => ({
+					athlete,
+					place: Number(participation[rank] ?? athlete[rank]) || 0,
+					value: positive(athlete[value])
+				}))
+				.filter(({ place, value }) => place >= 1 && place <= 3 && value > 0)
+				.sort((a, b) => a.place - b.place)
+				.map(({ athlete, place, value }) => {
+					const medal = MEDALS[place - 1];
+					const name = groupName(athlete, groupBy, resolveTeamName);
+					if (name) {
+						tally(name, medal, provisional);
+					}
+					return {
+						medal,
+						rank: place,
+						key: athlete.key ?? athlete.id ?? null,
+						fullName: athlete.fullName || athlete.name || '',
+						teamName: athlete.teamName || null,
+						group: name || null,
+						value
+					};
+				});
+			category.lifts[lift] = { provisional, medals };
+			category.provisional = category.provisional || provisional;
+		}
+		return category;
+	});
+
+	const compare = compareMedalCounts(sortBy);
+	const table = [...nations.values()].sort((a, b) => compare(a, b) || a.name.localeCompare(b.name));
+	table.forEach((nation, index) => {
+		const previous = table[index - 1];
+		nation.rank = previous && compare(previous, nation) === 0 ? previous.rank : index + 1;
+	});
+
+	return {
+		scope,
+		groupBy,
+		sortBy,
+		provisional: categories.some((category) => category.provisional),
+		categories,
+		table: table.map(({ rank, ...nation }) => ({ rank, ...nation }))
+	};
+}
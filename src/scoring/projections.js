@@ -0,0 +1,215 @@
+/**
+ * Medal projections for a category
+ *
+ * Monte Carlo simulation of the rest of a category: every remaining attempt is taken at the
+ * declared weight (last change, declaration or automatic progression) and made with the
+ * athlete's make probability. Undeclared attempts follow the automatic progression
+ * (1 kg more after a good lift, the same weight after a miss). An attempt recorded as 0 means
+ * the athlete withdrew: nothing after it is simulated (same rule as the medal table).
+ *
+ * Make probabilities blend the athlete's decided attempts from the lift log with default
+ * per-attempt rates, so an athlete without history lifts at the default rates.
+ */
+
+import { bestLiftOf, totalOf, isInCategory, compareResults } from './category-rankings.js';
+import { requestedWeightOf } from '../utils/lifting-order.js';
+
+// Typical success rates of 1st, 2nd and 3rd attempts
+export const DEFAULT_MAKE_RATES = {
+	snatch: [0.78, 0.66, 0.47],
+	cleanJerk: [0.8, 0.65, 0.43]
+};
+
+// Weight of the default rates, in attempts, when blending with the athlete's history
+const PRIOR_ATTEMPTS = 3;
+
+const MAX_ITERATIONS = 100000;
+
+/**
+ * Seeded pseudo-random generator (mulberry32), for reproducible projections
+ * @param {number} seed
+ * @returns {Function} () => number in [0, 1)
+ */
+export function seededRandom(seed) {
+	let state = seed >>> 0;
+	return () => {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+function isDone(value) {
+	return value !== null && value !== undefined && value !== '';
+}
+
+/**
+ * Make probability of each attempt of an athlete
+ * @param {Array<object>} history - Lift log entries of the athlete
+ * @param {object} defaultRates - { snatch: [p1, p2, p3], cleanJerk: [p1, p2, p3] }
+ * @returns {{ snatch: Array<number>, cleanJerk: Array<number> }}
+ */
+function makeRates(history, defaultRates) {
+	const decided = history.filter((entry) => entry.result === 'good' || entry.result === 'bad');
+	const rates = {};
+	for (const lift of ['snatch', 'cleanJerk']) {
+		const ofLift = decided.filter((entry) => entry.liftType === lift);
+		const good = ofLift.filter((entry) => entry.result === 'good').length;
+		const defaultMean = defaultRates[lift].reduce((sum, rate) => sum + rate, 0) / defaultRates[lift].length;
+		// Shift each default rate by how much better or worse the athlete does than the default average
+		const observed = ofLift.length > 0 ? (good + PRIOR_ATTEMPTS * defaultMean) / (ofLift.length + PRIOR_ATTEMPTS) : defaultMean;
+		rates[lift] = defaultRates[lift].map((rate) => Math.min(0.99, Math.max(0.01, rate + observed - defaultMean)));
+	}
+	return rates;
+}
+
+/**
+ * Attempt plan of an athlete: done attempts (fixed) and remaining ones (simulated)
+ * After a withdrawal every later attempt, of this lift and the next, is fixed as not taken.
+ */
+function attemptPlan(athlete) {
+	const plan = {};
+	let withdrawn = false;
+	for (const lift of ['snatch', 'cleanJerk']) {
+		plan[lift] = [1, 2, 3].map((attemptNumber) => {
+			const actual = athlete[`${lift}${attemptNumber}ActualLift`];
+			if (withdrawn) {
+				return { done: true, weight: 0, good: false };
+			}
+			if (!isDone(actual)) {
+				return { done: false, requested: requestedWeightOf(athlete, lift, attemptNumber) };
+			}
+			withdrawn = Number(actual) === 0;
+			return { done: true, weight: Math.abs(Number(actual)) || 0, good: Number(actual) > 0 };
+		});
+	}
+	return plan;
+}
+
+/**
+ * Simulate the remaining attempts of one lift
+ * @returns {number} Best weight (0 if no good lift)
+ */
+function simulateLift(attempts, rates, random) {
+	let best = 0;
+	let previous = null; // { weight, good }
+	attempts.forEach((attempt, index) => {
+		if (attempt.done) {
+			if (attempt.good && attempt.weight > best) best = attempt.weight;
+			previous = attempt.weight > 0 ? attempt : previous;
+			return;
+		}
+		const minimum = previous ? previous.weight + (previous.good ? 1 : 0) : 0;
+		const weight = Math.max(attempt.requested ?? minimum, minimum);
+		if (!(weight > 0)) {
+			return; // Nothing declared and nothing to progress from
+		}
+		const good = random() < rates[index];
+		if (good && weight > best) best = weight;
+		previous = { weight, good };
+	});
+	return best;
+}
+
+/**
+ * Project the final standings of a category
+ * @param {Array<object>} athletes - Database athletes (databaseState.athletes)
+ * @param {object} params
+ * @param {string} params.categoryCode - Category code
+ * @param {number} [params.iterations=1000] - Simulated outcomes (capped at 100000)
+ * @param {Array<object>} [params.liftLog=[]] - Lift log entries (make rates per athlete)
+ * @param {object} [params.defaultRates=DEFAULT_MAKE_RATES] - Per-attempt rates without history
+ * @param {Function} [params.random=Math.random] - Random generator (see seededRandom)
+ * @returns {{ categoryCode, iterations, athletes: Array<object> }} Athletes by podium probability:
+ *   { key, fullName, teamName, currentTotal, expectedTotal, expectedRank,
+ *     probabilities: { gold, silver, bronze, podium, noTotal } }
+ */
+export function projectStandings(athletes = [], {
+	categoryCode,
+	iterations = 1000,
+	liftLog = [],
+	defaultRates = DEFAULT_MAKE_RATES,
+	random = Math.random
+} = {}) {
+	const runs = Math.max(1, Math.min(Math.floor(Number(iterations)) || 1000, MAX_ITERATIONS));
+	const historyByKey = new Map();
+	for (const entry of liftLog) {
+		const key = String(entry.athleteKey);
+		if (!historyByKey.has(key)) historyByKey.set(key, []);
+		historyByKey.get(key).push(entry);
+	}
+
+	const competitors = athletes
+		.filter((athlete) => categoryCode && isInCategory(athlete, categoryCode))
+		.map((athlete) => {
+			const key = String(athlete.key ?? athlete.id);
+			const current = totalOf(athlete);
+			return {
+				key,
+				athlete,
+				plan: attemptPlan(athlete),
+				rates: makeRates(historyByKey.get(key) || [], defaultRates),
+				current,
+				currentSnatch: bestLiftOf(athlete, 'snatch').weight,
+				currentCleanJerk: bestLiftOf(athlete, 'cleanJerk').weight,
+				counts: [0, 0, 0],
+				noTotal: 0,
+				totalSum: 0,
+				rankSum: 0
+			};
+		});
+
+	for (let run = 0; run < runs; run++) {
+		const results = competitors.map((competitor) => {
+			const snatch = Math.max(simulateLift(competitor.plan.snatch, competitor.rates.snatch, random), competitor.currentSnatch);
+			const cleanJerk = Math.max(simulateLift(competitor.plan.cleanJerk, competitor.rates.cleanJerk, random), competitor.currentCleanJerk);
+			const weight = snatch > 0 && cleanJerk > 0 ? snatch + cleanJerk : 0;
+			// A total already on the board keeps its time; a new one is reached later than all existing ones
+			const time = weight === competitor.current.weight ? competitor.current.time : null;
+			return { competitor, weight, time, startNumber: competitor.athlete.startNumber };
+		});
+
+		results
+			.sort((a, b) => (a.weight > 0) === (b.weight > 0) ? compareResults(a, b) : b.weight - a.weight)
+			.forEach((result, index) => {
+				const { competitor, weight } = result;
+				competitor.totalSum += weight;
+				if (weight === 0) {
+					competitor.noTotal++;
+					competitor.rankSum += results.length;
+					return;
+				}
+				competitor.rankSum += index + 1;
+				if (index < 3) competitor.counts[index]++;
+			});
+	}
+
+	const round3 = (value) => Math.round(value * 1000) / 1000;
+	const projected = competitors.map((competitor) => {
+		const [gold, silver, bronze] = competitor.counts.map((count) => count / runs);
+		return {
+			key: competitor.athlete.key ?? competitor.athlete.id ?? null,
+			fullName: competitor.athlete.fullName || competitor.athlete.name || '',
+			teamName: competitor.athlete.teamName || null,
+			currentTotal: competitor.current.weight,
+			expectedTotal: Math.round((competitor.totalSum / runs) * 10) / 10,
+			expectedRank: Math.round((competitor.rankSum / runs) * 100) / 100,
+			probabilities: {
+				gold: round3(gold),
+				silver: round3(silver),
+				bronze: round3(bronze),
+				podium: round3(gold + silver + bronze),
+				noTotal: round3(competitor.noTotal / runs)
+			}
+		};
+	});
+
+	projected.sort((a, b) =>
+		b.probabilities.gold - a.probabilities.gold ||
+		b.probabilities.podium - a.probabilities.podium ||
+		a.expectedRank - b.expectedRank);
+
+	return { categoryCode, iterations: runs, athletes: projected };
+}
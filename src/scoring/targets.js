@@ -0,0 +1,216 @@
+/**
+ * "What does this athlete need" calculator
+ *
+ * From the current standings of the athlete's category, the clean & jerk the athlete needs
+ * on the next attempt for gold, silver and bronze in the total. Results already reached by
+ * rivals win ties (IWF: first to reach the result ranks higher), so beating a rival who is
+ * already on the board takes one kilogram more than their total.
+ *
+ * When the competition is scored with Sinclair, QPoints or GAMX, the same targets are given
+ * in points against the best athletes of the same gender (all categories), with the total
+ * each score requires (GAMX kgTarget() generalised to the other formulas).
+ */
+
+import { calculateSinclair2024 } from './sinclair-coefficients.js';
+import { calculateQPoints } from './qpoints-coefficients.js';
+import { calculateGamx } from './gamx2.js';
+import { bestLiftOf, totalOf, computeCategoryRankings } from './category-rankings.js';
+
+const PLACES = ['gold', 'silver', 'bronze'];
+
+// Heaviest total searched for points targets
+const MAX_TOTAL = 700;
+
+const POINTS_FORMULAS = {
+	sinclair: (total, bodyWeight, gender) => calculateSinclair2024(total, bodyWeight, gender),
+	qpoints: (total, bodyWeight, gender) => calculateQPoints(total, bodyWeight, gender),
+	gamx: (total, bodyWeight, gender) => calculateGamx(gender, bodyWeight, total)
+};
+
+/**
+ * Points formula used by a competition scoring system ('BW_SINCLAIR', 'QPOINTS', 'GAMX', ...)
+ * @param {string} scoringSystem - competition.scoringSystem
+ * @returns {string|null} 'sinclair' | 'qpoints' | 'gamx', or null for other systems
+ */
+export function pointsFormulaOf(scoringSystem) {
+	const system = String(scoringSystem || '').toUpperCase();
+	if (system.includes('GAMX')) return 'gamx';
+	if (system.includes('QPOINT')) return 'qpoints';
+	if (system.includes('SINCLAIR')) return 'sinclair';
+	return null;
+}
+
+function round2(value) {
+	return Math.round(value * 100) / 100;
+}
+
+/**
+ * Attempts left and the lightest legal next clean & jerk
+ * After a good lift the next attempt must be at least 1 kg heavier; after a miss, at least the same weight.
+ */
+function cleanJerkOutlook(athlete) {
+	let attemptsDone = 0;
+	let minimumWeight = 1;
+	for (let attempt = 1; attempt <= 3; attempt++) {
+		const actual = athlete[`cleanJerk${attempt}ActualLift`];
+		if (actual === null || actual === undefined || actual === '') continue;
+		attemptsDone++;
+		const weight = Number(actual);
+		if (Number.isFinite(weight) && weight !== 0) {
+			minimumWeight = Math.max(minimumWeight, weight > 0 ? weight + 1 : -weight);
+		}
+	}
+	return { attemptsLeft: 3 - attemptsDone, minimumWeight };
+}
+
+/**
+ * Clean & jerk needed to reach a total, given the snatch and what the athlete already has
+ */
+function cleanJerkFor(neededTotal, { snatch, bestCleanJerk, attemptsLeft, minimumWeight }) {
+	if (snatch === 0) {
+		return { cleanJerk: null, alreadyAhead: false, possible: false };
+	}
+	if (bestCleanJerk > 0 && snatch + bestCleanJerk >= neededTotal) {
+		return { cleanJerk: null, alreadyAhead: true, possible: true };
+	}
+	if (attemptsLeft === 0) {
+		return { cleanJerk: null, alreadyAhead: false, possible: false };
+	}
+	return { cleanJerk: Math.max(neededTotal - snatch, minimumWeight, bestCleanJerk + 1), alreadyAhead: false, possible: true };
+}
+
+/**
+ * Total of a target: with the needed clean & jerk, the current one when already ahead, else the total required
+ */
+function targetTotal(result, neededTotal, { snatch, bestCleanJerk }) {
+	if (result.cleanJerk !== null) return snatch + result.cleanJerk;
+	return result.alreadyAhead ? snatch + bestCleanJerk : neededTotal;
+}
+
+/**
+ * Smallest whole total whose score strictly exceeds a target at 2 decimal precision
+ * @returns {number|null} null when no total up to MAX_TOTAL is enough
+ */
+function minimumTotalForScore(scoreOf, targetScore) {
+	const target = round2(targetScore);
+	if (round2(scoreOf(MAX_TOTAL)) <= target) {
+		return null;
+	}
+	let low = 1;
+	let high = MAX_TOTAL;
+	while (low < high) {
+		const middle = Math.floor((low + high) / 2);
+		if (round2(scoreOf(middle)) > target) {
+			high = middle;
+		} else {
+			low = middle + 1;
+		}
+	}
+	return low;
+}
+
+/**
+ * Compute the targets of an athlete
+ * @param {Array<object>} athletes - Database athletes (databaseState.athletes)
+ * @param {object} params
+ * @param {string|number} params.athleteKey - Athlete key
+ * @param {string} [params.scoringSystem] - competition.scoringSystem (points targets for Sinclair, QPoints, GAMX)
+ * @param {number} [params.now=Date.now()] - Time the next attempt would be lifted
+ * @returns {object|null} null when the athlete is unknown:
+ *   { athleteKey, fullName, categoryCode, bestSnatch, bestCleanJerk, total, attemptsLeft, minimumCleanJerk,
+ *     snatchInProgress, targets: { gold, silver, bronze }, points: { formula, score, targets } | null }
+ *   Each target: { place, rivalKey, rivalName, rivalTotal, total, cleanJerk, alreadyAhead, possible }
+ *   (points targets also carry rivalScore and score).
+ */
+export function computeTargets(athletes = [], { athleteKey, scoringSystem = '', now = Date.now() } = {}) {
+	const key = String(athleteKey);
+	const athlete = athletes.find((candidate) => String(candidate.key ?? candidate.id) === key);
+	if (!athlete) {
+		return null;
+	}
+
+	const snatch = bestLiftOf(athlete, 'snatch').weight;
+	const bestCleanJerk = bestLiftOf(athlete, 'cleanJerk').weight;
+	const { attemptsLeft, minimumWeight } = cleanJerkOutlook(athlete);
+	const snatchDone = [1, 2, 3].every((attempt) => {
+		const actual = athlete[`snatch${attempt}ActualLift`];
+		return actual !== null && actual !== undefined && actual !== '';
+	});
+	const outlook = { snatch, bestCleanJerk, attemptsLeft, minimumWeight };
+
+	// Rivals of the category, best first
+	const rivals = computeCategoryRankings(athletes, { categoryCode: athlete.categoryCode })
+		.filter((row) => String(row.key) !== key && row.total.rank !== null);
+
+	const targets = {};
+	PLACES.forEach((place, index) => {
+		const rival = rivals[index];
+		// A rival's total reached before the attempt wins a tie; without a rival any total is enough
+		const reachedBefore = rival && (rival.total.time === null || rival.total.time <= now);
+		const neededTotal = rival ? rival.total.weight + (reachedBefore ? 1 : 0) : 1;
+		const result = cleanJerkFor(neededTotal, outlook);
+		targets[place] = {
+			place: index + 1,
+			rivalKey: rival ? rival.key : null,
+			rivalName: rival ? rival.fullName : null,
+			rivalTotal: rival ? rival.total.weight : 0,
+			total: targetTotal(result, neededTotal, outlook),
+			...result
+		};
+	});
+
+	return {
+		athleteKey: key,
+		fullName: athlete.fullName || athlete.name || '',
+		categoryCode: athlete.categoryCode || null,
+		bestSnatch: snatch,
+		bestCleanJerk,
+		total: totalOf(athlete).weight,
+		attemptsLeft,
+		minimumCleanJerk: minimumWeight,
+		snatchInProgress: !snatchDone,
+		targets,
+		points: computePointsTargets(athletes, athlete, { scoringSystem, outlook })
+	};
+}
+
+function computePointsTargets(athletes, athlete, { scoringSystem, outlook }) {
+	const formula = pointsFormulaOf(scoringSystem);
+	const bodyWeight = Number(athlete.bodyWeight);
+	if (!formula || !(bodyWeight > 0)) {
+		return null;
+	}
+	const scoreFormula = POINTS_FORMULAS[formula];
+	const scoreOf = (total, candidate = athlete) => scoreFormula(total, Number(candidate.bodyWeight), candidate.gender);
+
+	const key = String(athlete.key ?? athlete.id);
+	const rivals = athletes
+		.filter((candidate) => String(candidate.key ?? candidate.id) !== key && candidate.gender === athlete.gender && Number(candidate.bodyWeight) > 0)
+		.map((candidate) => ({ candidate, total: totalOf(candidate).weight }))
+		.filter(({ total }) => total > 0)
+		.map(({ candidate, total }) => ({ candidate, total, score: scoreOf(total, candidate) }))
+		.sort((a, b) => b.score - a.score);
+
+	const currentTotal = totalOf(athlete).weight;
+	const targets = {};
+	PLACES.forEach((place, index) => {
+		const rival = rivals[index];
+		const rivalScore = rival ? rival.score : 0;
+		const neededTotal = minimumTotalForScore(scoreOf, rivalScore);
+		const result = neededTotal === null
+			? { cleanJerk: null, alreadyAhead: false, possible: false }
+			: cleanJerkFor(neededTotal, outlook);
+		targets[place] = {
+			place: index + 1,
+			rivalKey: rival ? rival.candidate.key ?? rival.candidate.id : null,
+			rivalName: rival ? rival.candidate.fullName || rival.candidate.name || '' : null,
+			rivalTotal: rival ? rival.total : 0,
+			rivalScore: round2(rivalScore),
+			total: neededTotal === null ? null : targetTotal(result, neededTotal, outlook),
+			score: result.cleanJerk !== null || result.alreadyAhead ? round2(scoreOf(targetTotal(result, neededTotal, outlook))) : null,
+			...result
+		};
+	});
+
+	return { formula, score: round2(currentTotal > 0 ? scoreOf(currentTotal) : 0), targets };
+}
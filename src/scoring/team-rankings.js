@@ -0,0 +1,199 @@
+/**
+ * Team rankings over database athletes
+ *
+ * Scoring methods:
+ * - 'points':   IWF place points (calculateTeamPoints) for the snatch, clean & jerk and total ranks
+ *               of each team member, in the category they compete in
+ * - 'total':    sum of the totals of the team members
+ * - 'sinclair': sum of the Sinclair scores of the team members
+ *
+ * Only the best mensTeamSize men and womensTeamSize women of a team count (0 or missing = all).
+ * Combined standings add the men's and women's contributions of each team.
+ *
+ * Ties are broken by the number of first places, then second places, and so on (points scoring),
+ * then by the best individual contribution. Teams still tied share the rank.
+ */
+
+import { calculateTeamPoints } from './team-points-formula.js';
+
+export const TEAM_SCORING_METHODS = ['points', 'total', 'sinclair'];
+
+const LIFTS = [
+	{ lift: 'snatch', rank: 'snatchRank', value: 'bestSnatch' },
+	{ lift: 'cleanJerk', rank: 'cleanJerkRank', value: 'bestCleanJerk' },
+	{ lift: 'total', rank: 'totalRank', value: 'total' }
+];
+
+/**
+ * Participation used for team scoring: the one of the requested championship type,
+ * otherwise the one of the athlete's registration category, otherwise the first one.
+ */
+function findParticipation(athlete, championshipType) {
+	const participations = athlete.participations || [];
+	if (championshipType) {
+		return participations.find((p) => p.championshipType === championshipType) || null;
+	}
+	return participations.find((p) => p.categoryCode === athlete.categoryCode) || participations[0] || null;
+}
+
+function positive(value) {
+	const number = Number(value);
+	return Number.isFinite(number) && number > 0 ? number : 0;
+}
+
+/**
+ * Score one athlete
+ * @returns {object|null} Contribution, or null when the athlete cannot score for a team
+ */
+function scoreAthlete(athlete, { scoring, championshipType, teamPoints }) {
+	const participation = findParticipation(athlete, championshipType);
+	if (championshipType && !participation) {
+		return null;
+	}
+	// Without participation data (older exports) every athlete of a team is a member
+	const teamMember = participation ? participation.teamMember === true : true;
+	if (!teamMember) {
+		return null;
+	}
+
+	const contribution = {
+		key: athlete.key ?? athlete.id ?? null,
+		fullName: athlete.fullName || athlete.name || '',
+		gender: athlete.gender || null,
+		categoryCode: participation?.categoryCode || athlete.categoryCode || null,
+		bestSnatch: positive(athlete.bestSnatch),
+		bestCleanJerk: positive(athlete.bestCleanJerk),
+		total: positive(athlete.total),
+		sinclair: positive(athlete.sinclair),
+		score: 0,
+		places: []
+	};
+
+	if (scoring === 'points') {
+		contribution.points = {};
+		for (const { lift, rank, value } of LIFTS) {
+			const place = Number(participation?.[rank] ?? athlete[rank]) || 0;
+			const points = calculateTeamPoints(place, positive(athlete[value]), true, ...teamPoints);
+			contribution.points[lift] = points;
+			contribution.score += points;
+			if (points > 0) {
+				contribution.places.push(place);
+			}
+		}
+	} else {
+		contribution.score = scoring === 'sinclair' ? contribution.sinclair : contribution.total;
+	}
+
+	return contribution.score > 0 ? contribution : null;
+}
+
+function countPlaces(athletes) {
+	const counts = [];
+	for (const athlete of athletes) {
+		for (const place of athlete.places) {
+			counts[place - 1] = (counts[place - 1] || 0) + 1;
+		}
+	}
+	return Array.from(counts, (count) => count || 0);
+}
+
+function comparePlaces(a, b) {
+	const length = Math.max(a.length, b.length);
+	for (let i = 0; i < length; i++) {
+		const difference = (b[i] || 0) - (a[i] || 0);
+		if (difference !== 0) return difference;
+	}
+	return 0;
+}
+
+function roundScore(value) {
+	return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Rank teams
+ * @param {Array<object>} athletes - Database athletes (databaseState.athletes)
+ * @param {object} [options]
+ * @param {string} [options.gender='combined'] - 'M' | 'F' | 'combined'
+ * @param {string} [options.scoring='points'] - 'points' | 'total' | 'sinclair'
+ * @param {number} [options.mensTeamSize] - Men counted per team (0 or missing = all)
+ * @param {number} [options.womensTeamSize] - Women counted per team (0 or missing = all)
+ * @param {string} [options.championshipType] - Only score participations of this championship type (e.g. 'IWF')
+ * @param {Array<number>} [options.teamPoints=[28, 25, 23]] - Points for 1st, 2nd and 3rd place
+ * @param {Function} [options.resolveTeamName] - (teamId) => name, for athletes without teamName
+ * @returns {Array<object>} Teams best first:
+ *   { rank, name, teamId, score, menScore, womenScore, athletes, memberCount, tieBreak: { places, bestScore, tiedWith } }
+ */
+export function computeTeamRankings(athletes = [], {
+	gender = 'combined',
+	scoring = 'points',
+	mensTeamSize = 0,
+	womensTeamSize = 0,
+	championshipType = null,
+	teamPoints = [28, 25, 23],
+	resolveTeamName = () => null
+} = {}) {
+	if (!TEAM_SCORING_METHODS.includes(scoring)) {
+		throw new Error(`Unknown team scoring method '${scoring}' (expected ${TEAM_SCORING_METHODS.join(', ')})`);
+	}
+
+	const teams = new Map();
+	for (const athlete of athletes) {
+		if (gender !== 'combined' && athlete.gender !== gender) continue;
+		const name = athlete.teamName || (athlete.team ? resolveTeamName(athlete.team) : null);
+		if (!name) continue;
+
+		if (!teams.has(name)) {
+			teams.set(name, { name, teamId: athlete.team ?? null, men: [], women: [], memberCount: 0 });
+		}
+		const team = teams.get(name);
+		const contribution = scoreAthlete(athlete, { scoring, championshipType, teamPoints });
+		if (!contribution) continue;
+		team.memberCount++;
+		(athlete.gender === 'F' ? team.women : team.men).push(contribution);
+	}
+
+	const best = (list, size) => {
+		const sorted = [...list].sort((a, b) => b.score - a.score || a.fullName.localeCompare(b.fullName));
+		return size > 0 ? sorted.slice(0, size) : sorted;
+	};
+
+	const ranked = [...teams.values()].map((team) => {
+		const men = best(team.men, mensTeamSize);
+		const women = best(team.women, womensTeamSize);
+		const counted = [...men, ...women].sort((a, b) => b.score - a.score);
+		const menScore = roundScore(men.reduce((sum, a) => sum + a.score, 0));
+		const womenScore = roundScore(women.reduce((sum, a) => sum + a.score, 0));
+		return {
+			name: team.name,
+			teamId: team.teamId,
+			score: roundScore(menScore + womenScore),
+			menScore,
+			womenScore,
+			athletes: counted.map(({ places, ...athlete }) => ({ ...athlete, score: roundScore(athlete.score) })),
+			memberCount: team.memberCount,
+			tieBreak: {
+				places: scoring === 'points' ? countPlaces(counted) : [],
+				bestScore: counted.length > 0 ? roundScore(counted[0].score) : 0,
+				tiedWith: []
+			}
+		};
+	});
+
+	const compareWithoutName = (a, b) =>
+		b.score - a.score ||
+		comparePlaces(a.tieBreak.places, b.tieBreak.places) ||
+		b.tieBreak.bestScore - a.tieBreak.bestScore;
+
+	ranked.sort((a, b) => compareWithoutName(a, b) || a.name.localeCompare(b.name));
+
+	ranked.forEach((team, index) => {
+		const previous = ranked[index - 1];
+		team.rank = previous && compareWithoutName(previous, team) === 0 ? previous.rank : index + 1;
+		team.tieBreak.tiedWith = ranked
+			.filter((other) => other !== team && other.score === team.score)
+			.map((other) => other.name);
+	});
+
+	return ranked.map(({ rank, ...team }) => ({ rank, ...team }));
+}
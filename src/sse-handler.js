@@ -0,0 +1,290 @@
+/**
+ * Server-Sent Events endpoint for browser displays
+ *
+ * One hub subscription per handler is fanned out to every connected browser. Each broadcast
+ * gets a sequence number, sent as the SSE event id and kept in a replay buffer, so a browser
+ * reconnecting with Last-Event-ID receives the messages it missed instead of a full init.
+ *
+ *   Node http:  http.createServer((req, res) => req.url.startsWith('/events') && sse(req, res))
+ *   Express:    app.get('/events', sse)
+ *   SvelteKit:  export const GET = ({ request }) => sse.respond(request);
+ *
+ * Query parameters: fop=A (or fop=A,B), locale=fr (translations in the init), types=timer,decision
+ */
+
+import { logger } from './utils/logger.js';
+
+const SSE_HEADERS = {
+	'Content-Type': 'text/event-stream; charset=utf-8',
+	'Cache-Control': 'no-cache, no-transform',
+	'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+};
+
+function parseSequence(value) {
+	return value !== null && value !== undefined && /^\d+$/.test(String(value).trim()) ? Number(value) : null;
+}
+
+/**
+ * Client filters from the query string; Last-Event-ID may also be given as ?lastEventId= for
+ * clients that cannot set headers
+ */
+function parseClientOptions(url, lastEventIdHeader) {
+	let params;
+	try {
+		params = new URL(url || '/', 'http://localhost').searchParams;
+	} catch (error) {
+		params = new URLSearchParams(); // Unparsable URL ('//', ...): no filters
+	}
+	const list = (name) => {
+		const values = params.getAll(name).flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+		return values.length > 0 ? new Set(values) : null;
+	};
+	return {
+		fops: list('fop'),
+		types: list('types'),
+		locale: params.get('locale') || null,
+		lastEventId: parseSequence(lastEventIdHeader ?? params.get('lastEventId'))
+	};
+}
+
+// Same rules as hub.subscribe() filters: messages without a FOP reach everyone; the locale only selects init translations
+function accepts(client, message) {
+	if (client.fops && message.fop && !client.fops.has(message.fop)) {
+		return false;
+	}
+	if (client.types && !client.types.has(message.type)) {
+		return false;
+	}
+	return true;
+}
+
+function formatEvent(id, message) {
+	return `id: ${id}\ndata: ${JSON.stringify(message)}\n\n`;
+}
+
+/**
+ * Create an SSE handler streaming hub broadcasts to browsers
+ * The handler is a Node (req, res) function; respond(request) serves a Fetch API Request.
+ * Sequence numbers start at the creation time in milliseconds, so an id issued before a
+ * restart is never taken for a current one (the browser gets a fresh init instead).
+ * @param {object} options
+ * @param {object} options.hub - Hub to stream
+ * @param {number} [options.heartbeatMs=15000] - Interval of comment lines keeping proxies from closing idle streams
+ * @param {number} [options.replaySize=1000] - Broadcasts kept for Last-Event-ID resume
+ * @param {number} [options.retryMs=3000] - Reconnect delay suggested to browsers
+ * @param {number} [options.maxBufferedBytes=4194304] - A client with more unsent data is disconnected
+ *   (it reconnects and resumes from the replay buffer)
+ * @param {string} [options.name='sse'] - Label of the hub subscription in getMetrics()
+ * @returns {function(object, object): void} handler(req, res) with respond(request), getClients() and close()
+ */
+export function createSseHandler({
+	hub,
+	heartbeatMs = 15000,
+	replaySize = 1000,
+	retryMs = 3000,
+	maxBufferedBytes = 4 * 1024 * 1024,
+	name = 'sse'
+} = {}) {
+	if (!hub) {
+		throw new Error('createSseHandler requires hub option');
+	}
+
+	const clients = new Set();
+	const replay = []; // Entries: { id, message }, oldest first
+	let sequence = Date.now();
+	let clientCounter = 0;
+	let closed = false;
+
+	// subscribe() delivers its own init synchronously; clients get theirs from getInitMessage()
+	let subscribing = false;
+	let unsubscribe = null;
+
+	function subscribe() {
+		subscribing = true;
+		unsubscribe = hub.subscribe((message) => {
+			if (subscribing) {
+				return;
+			}
+			sequence++;
+			replay.push({ id: sequence, message });
+			if (replay.length > replaySize) {
+				replay.shift();
+			}
+			const event = formatEvent(sequence, message);
+			for (const client of clients) {
+				if (accepts(client, message)) {
+					send(client, event);
+				}
+			}
+		}, {
+			name,
+			queueSize: Math.max(replaySize, 100),
+			// A dropped broadcast would leave a silent gap in the replay buffer: drop the subscription instead
+			overflow: 'disconnect',
+			onDisconnect: resubscribe
+		});
+		subscribing = false;
+	}
+
+	// Broadcasts were lost: no issued id may resume, every browser starts over with an init
+	function resubscribe(reason) {
+		logger.warn(`[SSE] Hub subscription dropped (${reason}); clients will get a fresh init`);
+		replay.length = 0;
+		sequence++; // Past every issued id, so Last-Event-ID resumes fall back to an init
+		for (const client of [...clients]) {
+			disconnect(client);
+		}
+		if (!closed) {
+			subscribe();
+		}
+	}
+
+	subscribe();
+
+	const heartbeat = setInterval(() => {
+		for (const client of clients) {
+			send(client, ': heartbeat\n\n');
+		}
+	}, heartbeatMs);
+	heartbeat.unref?.();
+
+	function send(client, chunk) {
+		try {
+			client.sink.write(chunk);
+		} catch (error) {
+			logger.warn(`[SSE] Write to client #${client.id} failed: ${error.message}`);
+			disconnect(client);
+			return;
+		}
+		if (client.sink.bufferedBytes() > maxBufferedBytes) {
+			logger.warn(`[SSE] Disconnecting slow client #${client.id}: more than ${maxBufferedBytes} bytes unsent`);
+			disconnect(client);
+		}
+	}
+
+	function detach(client) {
+		if (client && clients.delete(client)) {
+			logger.debug(`[SSE] Client #${client.id} disconnected (${clients.size} open)`);
+		}
+	}
+
+	function disconnect(client) {
+		detach(client);
+		try {
+			client.sink.end();
+		} catch (error) {
+			// Stream already closed
+		}
+	}
+
+	// Register a client and send what it needs to catch up: the missed broadcasts, or an init
+	function open(options, sink) {
+		const client = {
+			id: ++clientCounter,
+			fops: options.fops,
+			types: options.types,
+			locale: options.locale,
+			remoteAddress: sink.remoteAddress || null,
+			connectedAt: Date.now(),
+			resumed: false,
+			sink
+		};
+
+		const lastEventId = options.lastEventId;
+		const oldest = replay.length > 0 ? replay[0].id : sequence + 1;
+		client.resumed = lastEventId !== null && lastEventId <= sequence && lastEventId + 1 >= oldest;
+
+		sink.write(`retry: ${retryMs}\n\n`);
+		if (client.resumed) {
+			for (const entry of replay) {
+				if (entry.id > lastEventId && accepts(client, entry.message)) {
+					sink.write(formatEvent(entry.id, entry.message));
+				}
+			}
+		} else {
+			sink.write(formatEvent(sequence, hub.getInitMessage({
+				fops: client.fops ? [...client.fops] : null,
+				locale: client.locale
+			})));
+		}
+
+		clients.add(client);
+		logger.debug(`[SSE] Client #${client.id} connected${client.resumed ? ` (resumed after ${lastEventId})` : ''} (${clients.size} open)`);
+		return client;
+	}
+
+	function handler(req, res) {
+		if (closed) {
+			res.writeHead(503);
+			res.end();
+			return;
+		}
+		const options = parseClientOptions(req.url, req.headers?.['last-event-id']);
+		res.writeHead(200, SSE_HEADERS);
+		const client = open(options, {
+			write: (chunk) => {
+				res.write(chunk);
+				res.flush?.(); // compression middleware buffers otherwise
+			},
+			bufferedBytes: () => res.writableLength || 0,
+			end: () => res.end(),
+			remoteAddress: req.socket?.remoteAddress
+		});
+		req.on('close', () => detach(client));
+	}
+
+	/**
+	 * Serve a Fetch API Request (SvelteKit, Deno-style handlers)
+	 * @param {Request} request
+	 * @returns {Response}
+	 */
+	handler.respond = (request) => {
+		if (closed) {
+			return new Response(null, { status: 503 });
+		}
+		const options = parseClientOptions(request.url, request.headers.get('last-event-id'));
+		const encoder = new TextEncoder();
+		let client = null;
+		const stream = new ReadableStream({
+			start(controller) {
+				client = open(options, {
+					write: (chunk) => controller.enqueue(encoder.encode(chunk)),
+					bufferedBytes: () => Math.max(0, -(controller.desiredSize ?? 0)),
+					end: () => controller.close()
+				});
+			},
+			cancel() {
+				detach(client);
+			}
+		}, { highWaterMark: 0, size: (chunk) => chunk.byteLength });
+		request.signal?.addEventListener('abort', () => detach(client));
+		return new Response(stream, { headers: SSE_HEADERS });
+	};
+
+	/**
+	 * Connected browsers
+	 * @returns {Array<object>} { id, fops, types, locale, remoteAddress, connectedAt, resumed }
+	 */
+	handler.getClients = () => [...clients].map(({ sink, fops, types, ...info }) => ({
+		...info,
+		fops: fops ? [...fops] : null,
+		types: types ? [...types] : null
+	}));
+
+	/**
+	 * Close every stream and release the hub subscription
+	 */
+	handler.close = () => {
+		if (closed) {
+			return;
+		}
+		closed = true;
+		clearInterval(heartbeat);
+		unsubscribe();
+		for (const client of [...clients]) {
+			disconnect(client);
+		}
+	};
+
+	return handler;
+}
@@ -2,7 +2,9 @@
  * Asset Resolver - Team flags, logos, and athlete pictures URL utilities
  * Handles multiple asset formats and missing files gracefully
  * 
- * All functions use object parameter signatures for consistency
+ * All functions use object parameter signatures for consistency.
+ * Each accepts an optional `hub` (defaults to the shared singleton) so that
+ * several CompetitionHub instances can use their own local files directory.
  */
 
 import fs from 'fs';
@@ -13,9 +15,9 @@ import { logger } from './logger.js';
 const FLAG_EXTENSIONS = ['.svg', '.png', '.jpg', '.jpeg', '.gif', '.webp'];
 
 // Resolve base directories and URL prefixes from hub configuration
-function getAssetConfig() {
-  const baseDir = competitionHub.getLocalFilesDir ? competitionHub.getLocalFilesDir() : path.join(process.cwd(), 'local');
-  const urlPrefix = competitionHub.getLocalUrlPrefix ? competitionHub.getLocalUrlPrefix() : '/local';
+function getAssetConfig(hub = competitionHub) {
+  const baseDir = hub?.getLocalFilesDir?.() || path.join(process.cwd(), 'local');
+  const urlPrefix = hub?.getLocalUrlPrefix?.() || '/local';
   const normalizedPrefix = urlPrefix.endsWith('/') ? urlPrefix.slice(0, -1) : urlPrefix;
   return {
     flagsDir: path.join(baseDir, 'flags'),
@@ -62,14 +64,14 @@ function resolveFilePath(name, baseDir, urlPrefix) {
   return null;
 }
 
-export function getFlagUrl({ teamName } = {}) {
-  const { flagsDir, flagsPrefix } = getAssetConfig();
+export function getFlagUrl({ teamName, hub } = {}) {
+  const { flagsDir, flagsPrefix } = getAssetConfig(hub);
   const relativePath = resolveFilePath(teamName, flagsDir, flagsPrefix.replace(/^\//, ''));
   return relativePath ? (relativePath.startsWith('/') ? relativePath : `/${relativePath}`) : null;
 }
 
-export function getLogoUrl({ teamName } = {}) {
-  const { logosDir, logosPrefix } = getAssetConfig();
+export function getLogoUrl({ teamName, hub } = {}) {
+  const { logosDir, logosPrefix } = getAssetConfig(hub);
   logger.trace('[asset-resolver] resolving logo url', { teamName, logosDir });
   const relativePath = resolveFilePath(teamName, logosDir, logosPrefix.replace(/^\//, ''));
   if (relativePath) {
@@ -81,26 +83,26 @@ export function getLogoUrl({ teamName } = {}) {
   return null;
 }
 
-export function getFlagHtml({ teamName, width = 32, height = 24, className = 'flag' } = {}) {
-  const url = getFlagUrl({ teamName });
+export function getFlagHtml({ teamName, hub, width = 32, height = 24, className = 'flag' } = {}) {
+  const url = getFlagUrl({ teamName, hub });
   if (!url) return '';
   return `<img src="${url}" width="${width}" height="${height}" alt="${teamName}" class="${className}" />`;
 }
 
-export function getLogoHtml({ teamName, width = 64, height = 64, className = 'logo' } = {}) {
-  const url = getLogoUrl({ teamName });
+export function getLogoHtml({ teamName, hub, width = 64, height = 64, className = 'logo' } = {}) {
+  const url = getLogoUrl({ teamName, hub });
   if (!url) return '';
   return `<img src="${url}" width="${width}" height="${height}" alt="${teamName}" class="${className}" />`;
 }
 
-export function getPictureUrl({ athleteId } = {}) {
-  const { picturesDir, picturesPrefix } = getAssetConfig();
+export function getPictureUrl({ athleteId, hub } = {}) {
+  const { picturesDir, picturesPrefix } = getAssetConfig(hub);
   const relativePath = resolveFilePath(athleteId, picturesDir, picturesPrefix.replace(/^\//, ''));
   return relativePath ? (relativePath.startsWith('/') ? relativePath : `/${relativePath}`) : null;
 }
 
-export function getPictureHtml({ athleteId, athleteName = '', width = 120, height = 150, className = 'picture' } = {}) {
-  const url = getPictureUrl({ athleteId });
+export function getPictureHtml({ athleteId, hub, athleteName = '', width = 120, height = 150, className = 'picture' } = {}) {
+  const url = getPictureUrl({ athleteId, hub });
   if (!url) return '';
   return `<img src="${url}" width="${width}" height="${height}" alt="${athleteName}" class="${className}" />`;
 }
@@ -109,15 +111,16 @@ export function getPictureHtml({ athleteId, athleteName = '', width = 120, heigh
  * Get header logo URL by base name(s)
  * Tries each base name in order, scanning for available extensions: .svg, .png, .jpg, .jpeg, .webp
  * @param {string|string[]} baseNames - Single base name or array of names to try in order (e.g., ['header_left', 'left'])
+ * @param {object} [hub] - CompetitionHub instance (defaults to the shared singleton)
  * @returns {string|null} URL path to first found logo or null if none found
  */
-export function getHeaderLogoUrl({ baseNames } = {}) {
+export function getHeaderLogoUrl({ baseNames, hub } = {}) {
   if (!baseNames) return null;
   
   // Normalize to array
   const names = Array.isArray(baseNames) ? baseNames : [baseNames];
   
-  const { logosDir, logosPrefix } = getAssetConfig();
+  const { logosDir, logosPrefix } = getAssetConfig(hub);
   const extensions = ['.svg', '.png', '.jpg', '.jpeg', '.webp'];
   
   for (const baseName of names) {
@@ -140,7 +143,7 @@ export function getHeaderLogoUrl({ baseNames } = {}) {
 }
 
 // Backward compatibility aliases (if needed by internal calls)
-export function getFlagPath({ teamName } = {}) {
-  const { flagsDir, flagsPrefix } = getAssetConfig();
+export function getFlagPath({ teamName, hub } = {}) {
+  const { flagsDir, flagsPrefix } = getAssetConfig(hub);
   return resolveFilePath(teamName, flagsDir, flagsPrefix.replace(/^\//, ''));
 }
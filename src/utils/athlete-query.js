@@ -0,0 +1,130 @@
+/**
+ * Athlete Query
+ *
+ * Filters and sorts the database athletes (databaseState.athletes) for plugins that list,
+ * search or pick athletes. Text search ignores case and diacritics ("jose" finds "José").
+ */
+
+/**
+ * Lowercase text without diacritics, for search comparisons
+ * @param {*} value
+ * @returns {string}
+ */
+export function normalizeSearchText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().trim();
+}
+
+function compareText(a, b) {
+  return normalizeSearchText(a).localeCompare(normalizeSearchText(b));
+}
+
+// Empty values last in both directions
+function compareNumbers(a, b, direction) {
+  const first = Number(a);
+  const second = Number(b);
+  const firstValid = a !== null && a !== undefined && a !== '' && Number.isFinite(first);
+  const secondValid = b !== null && b !== undefined && b !== '' && Number.isFinite(second);
+  if (!firstValid || !secondValid) {
+    return firstValid === secondValid ? 0 : (firstValid ? -1 : 1);
+  }
+  return (first - second) * direction;
+}
+
+const byName = (a, b) => compareText(a.athlete.lastName, b.athlete.lastName) || compareText(a.athlete.firstName, b.athlete.firstName);
+
+const textSort = (valueOf) => (a, b, direction) => compareText(valueOf(a), valueOf(b)) * direction;
+const numberSort = (field) => (a, b, direction) => compareNumbers(a.athlete[field], b.athlete[field], direction);
+
+// Comparator of each sort field and its natural direction (1 ascending, -1 descending);
+// comparators receive { athlete, teamName } entries
+const SORTS = {
+  name: [(a, b, direction) => byName(a, b) * direction, 1],
+  startNumber: [numberSort('startNumber'), 1],
+  lotNumber: [numberSort('lotNumber'), 1],
+  team: [textSort(entry => entry.teamName), 1],
+  category: [textSort(entry => entry.athlete.categoryCode), 1],
+  session: [textSort(entry => entry.athlete.sessionName), 1],
+  bodyWeight: [numberSort('bodyWeight'), 1],
+  total: [numberSort('total'), -1],
+  sinclair: [numberSort('sinclair'), -1]
+};
+
+export const ATHLETE_SORT_FIELDS = Object.freeze(Object.keys(SORTS));
+
+/**
+ * Filter and sort athletes
+ * All given filters must match. Text search matches every word of the query against
+ * first name, last name, team name and membership number.
+ * @param {Array<object>} athletes - Database athletes (databaseState.athletes)
+ * @param {object} [params]
+ * @param {string|number} [params.team] - Team name (case and diacritics ignored) or numeric team id
+ * @param {string} [params.categoryCode] - Registration category or any participation
+ * @param {string} [params.ageGroup] - Age group code of the registration category or of a participation
+ * @param {string} [params.sessionName] - Session name
+ * @param {string} [params.gender] - 'M' | 'F'
+ * @param {string} [params.text] - Search text
+ * @param {string} [params.sortBy='name'] - One of ATHLETE_SORT_FIELDS; '-' prefix reverses (e.g. '-bodyWeight').
+ *   total and sinclair sort best first.
+ * @param {number} [params.limit] - Maximum number of athletes returned
+ * @param {Function} [params.resolveTeamName] - (teamId) => team name, for athletes without teamName
+ * @param {Function} [params.resolveAgeGroup] - (categoryCode) => age group code
+ * @returns {Array<object>} Matching athletes (the records themselves, not copies)
+ */
+export function queryAthletes(athletes = [], {
+  team,
+  categoryCode,
+  ageGroup,
+  sessionName,
+  gender,
+  text,
+  sortBy = 'name',
+  limit,
+  resolveTeamName = () => null,
+  resolveAgeGroup = () => null
+} = {}) {
+  const teamNameOf = (athlete) => athlete.teamName || resolveTeamName(athlete.team) || '';
+  const categoriesOf = (athlete) => [athlete.categoryCode, ...(athlete.participations || []).map(participation => participation.categoryCode)]
+    .filter(Boolean);
+
+  const filters = [];
+  if (team !== undefined && team !== null && team !== '') {
+    const teamText = normalizeSearchText(team);
+    filters.push(athlete => String(athlete.team) === String(team) || normalizeSearchText(teamNameOf(athlete)) === teamText);
+  }
+  if (categoryCode) {
+    filters.push(athlete => categoriesOf(athlete).includes(categoryCode));
+  }
+  if (ageGroup) {
+    filters.push(athlete => categoriesOf(athlete).some(code => resolveAgeGroup(code) === ageGroup));
+  }
+  if (sessionName) {
+    filters.push(athlete => String(athlete.sessionName) === String(sessionName));
+  }
+  if (gender) {
+    filters.push(athlete => String(athlete.gender).toUpperCase() === String(gender).toUpperCase());
+  }
+  const words = normalizeSearchText(text).split(/\s+/).filter(Boolean);
+  if (words.length > 0) {
+    filters.push(athlete => {
+      const haystack = normalizeSearchText([athlete.firstName, athlete.lastName, teamNameOf(athlete), athlete.membership].filter(Boolean).join(' '));
+      return words.every(word => haystack.includes(word));
+    });
+  }
+
+  const descending = typeof sortBy === 'string' && sortBy.startsWith('-');
+  const field = descending ? sortBy.slice(1) : sortBy;
+  const [compare, naturalDirection] = SORTS[field] || SORTS.name;
+  const direction = descending ? -naturalDirection : naturalDirection;
+
+  const matches = athletes
+    .filter(athlete => athlete && filters.every(filter => filter(athlete)))
+    .map(athlete => ({ athlete, teamName: teamNameOf(athlete) }))
+    .sort((a, b) => compare(a, b, direction) || byName(a, b));
+
+  const results = matches.map(match => match.athlete);
+  const max = limit === undefined || limit === null ? NaN : Number(limit);
+  return Number.isInteger(max) && max >= 0 ? results.slice(0, max) : results;
+}
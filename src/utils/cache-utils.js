@@ -9,11 +9,14 @@ import { competitionHub } from '../index.js';
  * IMPORTANT: Uses lastDataUpdate timestamp to detect data changes.
  * Timer/decision events do NOT update lastDataUpdate, only actual data updates do.
  * This ensures timer events don't invalidate cached scoreboard data.
+ *
+ * @param {string} fopName - FOP name (omit for a hub-wide version)
+ * @param {object} [hub] - CompetitionHub instance (defaults to the shared singleton)
  */
-export function getHubFopVersion(fopName) {
+export function getHubFopVersion(fopName, hub = competitionHub) {
     try {
         if (fopName) {
-            const fop = competitionHub.getFopUpdate({ fopName });
+            const fop = hub.getFopUpdate({ fopName });
             if (fop) {
                 // Use lastDataUpdate (not lastUpdate) - this only changes on actual data updates,
                 // not on timer/decision events. This is the correct cache invalidation key.
@@ -35,7 +38,7 @@ export function getHubFopVersion(fopName) {
     }
 
     try {
-        const db = competitionHub.getDatabaseState();
+        const db = hub.getDatabaseState();
         if (db && db.hubVersion) return db.hubVersion;
         if (db && db.lastUpdate) return db.lastUpdate;
     } catch (e) {
@@ -64,9 +67,13 @@ function canonicalValue(v) {
  * Build a cache key. If includeFop is false, the fopName will be omitted
  * and the key will be global to the hub. Options are normalized and sorted
  * alphabetically by key for stable cache keys.
+ * Keys start with the hub run id, so caches shared by several CompetitionHub
+ * instances (pass `hub`) never return one competition's data for another.
+ * Hub-like objects without getRunId() (older hubs, test stubs) get an empty prefix.
  */
-export function buildCacheKey({ fopName, includeFop = true, opts = {} } = {}) {
-    const version = getHubFopVersion(includeFop ? fopName : null);
+export function buildCacheKey({ fopName, includeFop = true, opts = {}, hub = competitionHub } = {}) {
+    const version = getHubFopVersion(includeFop ? fopName : null, hub);
+    const hubId = hub?.getRunId?.() ?? '';
     
     // Sort options keys alphabetically and normalize values for canonical representation
     const sortedOpts = Object.keys(opts).length > 0
@@ -81,7 +88,7 @@ export function buildCacheKey({ fopName, includeFop = true, opts = {} } = {}) {
         : '';
     
     if (includeFop) {
-        return `${fopName}-v${version}-${sortedOpts}`;
+        return `${hubId}:${fopName}-v${version}-${sortedOpts}`;
     }
-    return `global-v${version}-${sortedOpts}`;
+    return `${hubId}:global-v${version}-${sortedOpts}`;
 }
@@ -0,0 +1,173 @@
+/**
+ * Event Registry
+ *
+ * Every event the hub emits (EventEmitter side, not the broadcast messages sent to subscribers),
+ * with its payload shape. EVENT_TYPES is derived from this table.
+ *
+ * Older releases emitted some events under other names (fop_update, flags_loaded, ...).
+ * Those names are listed as `aliases`: the hub emits them after the canonical name while
+ * hub.emitDeprecatedEventNames is true (TRACKER_LEGACY_EVENTS=false turns them off).
+ * Aliases will be removed in a future major version.
+ */
+
+export const EVENT_REGISTRY = Object.freeze({
+  database: {
+    key: 'DATABASE',
+    description: 'Full database received and parsed',
+    payload: { payload: 'object (legacy competition state)', timestamp: 'number' },
+    aliases: ['competition_initialized']
+  },
+  update: {
+    key: 'UPDATE',
+    description: 'FOP update (lifting order, athlete, break) merged into the FOP state',
+    payload: { fop: 'string', version: 'number', data: 'object (message fields)', timestamp: 'number' },
+    aliases: ['fop_update']
+  },
+  timer: {
+    key: 'TIMER',
+    description: 'Athlete or break timer start/stop/set',
+    payload: { fop: 'string', timer: 'object', displayMode: 'string', timestamp: 'number' },
+    aliases: []
+  },
+  decision: {
+    key: 'DECISION',
+    description: 'Referee decision (down signal or full decision)',
+    payload: { fop: 'string', decision: 'object', displayMode: 'string', timestamp: 'number' },
+    aliases: []
+  },
+  'flags:loaded': {
+    key: 'FLAGS_LOADED',
+    description: 'Flag images extracted from flags_zip',
+    payload: { count: 'number', timestamp: 'number' },
+    aliases: ['flags_loaded']
+  },
+  'logos:loaded': {
+    key: 'LOGOS_LOADED',
+    description: 'Logo images extracted from logos_zip',
+    payload: { count: 'number', timestamp: 'number' },
+    aliases: ['logos_loaded']
+  },
+  'pictures:loaded': {
+    key: 'PICTURES_LOADED',
+    description: 'Athlete pictures extracted from pictures_zip',
+    payload: { count: 'number', timestamp: 'number' },
+    aliases: ['pictures_loaded']
+  },
+  'translations:loaded': {
+    key: 'TRANSLATIONS_LOADED',
+    description: 'All locales of a translations_zip processed',
+    payload: { count: 'number (locales)', timestamp: 'number' },
+    aliases: []
+  },
+  'database:ready': {
+    key: 'DATABASE_READY',
+    description: 'Database available (from OWLCMS or a restored snapshot)',
+    payload: { timestamp: 'number' },
+    aliases: []
+  },
+  'hub:ready': {
+    key: 'HUB_READY',
+    description: 'Hub fully initialized (database and translations)',
+    payload: { message: 'string', timestamp: 'number' },
+    aliases: ['hub_ready_broadcast']
+  },
+  'hub:waiting': {
+    key: 'HUB_WAITING',
+    description: 'State discarded by refresh(), waiting for OWLCMS to resend it',
+    payload: { message: 'string', timestamp: 'number' },
+    aliases: ['waiting']
+  },
+  'protocol:error': {
+    key: 'PROTOCOL_ERROR',
+    description: 'OWLCMS protocol version rejected',
+    payload: { reason: 'string', received: 'string|null', minimum: 'string|null', source: 'string', timestamp: 'number' },
+    aliases: ['protocol_error']
+  },
+  'protocol:ok': {
+    key: 'PROTOCOL_OK',
+    description: 'Valid frame received after a protocol error',
+    payload: { timestamp: 'number' },
+    aliases: ['protocol_ok']
+  },
+  'snapshot:restored': {
+    key: 'SNAPSHOT_RESTORED',
+    description: 'State restored from a snapshot at startup',
+    payload: { savedAt: 'number|null', databaseChecksum: 'string|null', timestamp: 'number' },
+    aliases: ['snapshot_restored']
+  },
+  'lift:recorded': {
+    key: 'LIFT_RECORDED',
+    description: 'Attempt decided and added to the lift log',
+    payload: { fop: 'string', entry: 'object (lift log entry)', timestamp: 'number' },
+    aliases: ['lift_recorded']
+  },
+  'liftingOrder:mismatch': {
+    key: 'LIFTING_ORDER_MISMATCH',
+    description: 'Lifting order sent by OWLCMS differs from the one computed with the IWF rules',
+    payload: { fop: 'string', sessionName: 'string|null', expected: 'string[] (athlete keys)', received: 'string[] (athlete keys)', firstDifference: 'number', timestamp: 'number' },
+    aliases: []
+  },
+  'session:done': {
+    key: 'SESSION_DONE',
+    description: 'Session completed',
+    payload: { fop: 'string', sessionName: 'string', phase: 'string', previousPhase: 'string', timestamp: 'number' },
+    aliases: []
+  },
+  'session:reopened': {
+    key: 'SESSION_REOPENED',
+    description: 'Session resumed after completion',
+    payload: { fop: 'string', sessionName: 'string', phase: 'string', previousPhase: 'string', timestamp: 'number' },
+    aliases: []
+  },
+  'session:phase': {
+    key: 'SESSION_PHASE',
+    description: 'Any session phase change',
+    payload: { fop: 'string', sessionName: 'string', phase: 'string', previousPhase: 'string', timestamp: 'number' },
+    aliases: []
+  }
+});
+
+// EventEmitter's own events, always allowed
+const EMITTER_EVENTS = new Set(['newListener', 'removeListener', 'error']);
+
+// Deprecated name -> canonical name
+const ALIAS_TO_CANONICAL = new Map(
+  Object.entries(EVENT_REGISTRY).flatMap(([name, entry]) => entry.aliases.map(alias => [alias, name]))
+);
+
+/**
+ * Event names by constant, e.g. EVENT_TYPES.FLAGS_LOADED === 'flags:loaded'
+ */
+export const EVENT_TYPES = Object.freeze(
+  Object.fromEntries(Object.entries(EVENT_REGISTRY).map(([name, entry]) => [entry.key, name]))
+);
+
+/**
+ * Whether a name is a canonical event, a deprecated alias or an EventEmitter event
+ * @param {string|symbol} eventName
+ * @returns {boolean}
+ */
+export function isRegisteredEvent(eventName) {
+  return typeof eventName === 'symbol' ||
+    EMITTER_EVENTS.has(eventName) ||
+    Object.prototype.hasOwnProperty.call(EVENT_REGISTRY, eventName) ||
+    ALIAS_TO_CANONICAL.has(eventName);
+}
+
+/**
+ * Canonical name of an event (deprecated aliases are translated, other names returned as is)
+ * @param {string} eventName
+ * @returns {string}
+ */
+export function resolveEventName(eventName) {
+  return ALIAS_TO_CANONICAL.get(eventName) || eventName;
+}
+
+/**
+ * Whether a name is a deprecated alias of a canonical event
+ * @param {string} eventName
+ * @returns {boolean}
+ */
+export function isDeprecatedEventName(eventName) {
+  return ALIAS_TO_CANONICAL.has(eventName);
+}
@@ -31,11 +31,26 @@ export { extractRecordsFromUpdate } from './records-extractor.js';
 export { formatCategoryDisplay, sortRecordsList, sortRecordsByFederation } from './records-display.js';
 
 // Message formatting
-export { formatMessage } from './message-format.js';
+export { formatMessage, formatMessageForLocale, MessageFormat } from './message-format.js';
 
 // Parsing utilities
 export { parseFormattedNumber } from './parsing-utils.js';
 
+// Lifting order computed from attempts (IWF rules)
+export { computeLiftingOrder, compareLiftingOrders, nextAttemptOf, requestedWeightOf } from './lifting-order.js';
+
+// Athlete search over the database athletes
+export { queryAthletes, normalizeSearchText, ATHLETE_SORT_FIELDS } from './athlete-query.js';
+
+// Session schedule (db.sessions)
+export { normalizeSession, toLocalDateTime, compareSessions, findCurrentAndNextSession } from './session-schedule.js';
+
+// Prometheus text format metrics
+export { MetricsRegistry, PROMETHEUS_CONTENT_TYPE, DEFAULT_DURATION_BUCKETS, DEFAULT_SIZE_BUCKETS } from './prometheus-metrics.js';
+
+// JSON Patch helpers (apply fop_delta broadcasts and getFopUpdateDiff results)
+export { diffJson, applyJsonPatch } from './json-patch.js';
+
 // Cache registry for coordinated cache invalidation
 export { registerCache, unregisterCache, getCacheEpoch, bumpCacheEpoch, getRegisteredCacheCount } from './cache-registry.js';
 
@@ -0,0 +1,207 @@
+/**
+ * JSON Patch helpers (RFC 6902 subset: add / remove / replace)
+ *
+ * Used for FOP delta broadcasts: the hub diffs consecutive FOP states and
+ * clients apply the resulting operations to their own copy of the state.
+ * Both documents are expected to be plain JSON (no Maps, Dates or functions).
+ */
+
+function escapePointerToken(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapePointerToken(token) {
+  return token.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Identity of an array element for keyed diffs: the record key (athletes), else its JSON
+function recordKeyOf(value) {
+  if (!isPlainObject(value)) {
+    return null;
+  }
+  const key = value.key ?? value.athleteKey ?? value.id;
+  return key === undefined || key === null ? null : `key:${key}`;
+}
+
+/**
+ * Element identities, or null when the array should be diffed index by index
+ * Keyed when some element is a record with a key, or when every element is a primitive;
+ * repeated identities (spacer rows) are numbered by occurrence.
+ */
+function identitiesOf(array, keyed) {
+  const seen = new Map();
+  return array.map(value => {
+    const base = (keyed && recordKeyOf(value)) || `json:${JSON.stringify(value)}`;
+    const occurrence = seen.get(base) || 0;
+    seen.set(base, occurrence + 1);
+    return `${base}#${occurrence}`;
+  });
+}
+
+function isKeyedArray(before, after) {
+  const all = before.concat(after);
+  return all.some(value => recordKeyOf(value) !== null) || all.every(value => value === null || typeof value !== 'object');
+}
+
+// Indexes (into positions) of a longest strictly increasing subsequence
+function longestIncreasingRun(positions) {
+  const tails = []; // tails[length - 1] = index of the smallest tail of a run of that length
+  const previous = new Array(positions.length).fill(-1);
+  positions.forEach((position, index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (positions[tails[middle]] < position) low = middle + 1;
+      else high = middle;
+    }
+    previous[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+  const run = [];
+  for (let index = tails.length > 0 ? tails[tails.length - 1] : -1; index !== -1; index = previous[index]) {
+    run.push(index);
+  }
+  return run.reverse();
+}
+
+/**
+ * Diff arrays by element identity: elements keeping their relative order are diffed in place,
+ * the others are removed and added at their new index (one move instead of a patch per index)
+ */
+function collectKeyedArrayDiff(before, after, beforeIds, afterIds, path, ops) {
+  const beforeIndex = new Map(beforeIds.map((id, index) => [id, index]));
+  const common = afterIds.map((id, index) => ({ id, index })).filter(({ id }) => beforeIndex.has(id));
+  const stable = new Set(longestIncreasingRun(common.map(({ id }) => beforeIndex.get(id))).map(index => common[index].id));
+
+  // Remove from the end so earlier indexes stay valid while the patch is applied
+  for (let i = before.length - 1; i >= 0; i--) {
+    if (!stable.has(beforeIds[i])) {
+      ops.push({ op: 'remove', path: `${path}/${i}` });
+    }
+  }
+  // The stable elements are now in after order: add the others at their final index
+  afterIds.forEach((id, index) => {
+    if (stable.has(id)) {
+      collectDiff(before[beforeIndex.get(id)], after[index], `${path}/${index}`, ops);
+    } else {
+      ops.push({ op: 'add', path: `${path}/${index}`, value: after[index] });
+    }
+  });
+}
+
+/**
+ * Compute the operations that turn `before` into `after`
+ * Arrays of records (elements with key, athleteKey or id) and of primitives are compared by
+ * element, so a reordered lifting order moves the athletes that changed places; other arrays
+ * are compared index by index, extra elements being added or removed at the end.
+ * @param {any} before - Previous document
+ * @param {any} after - New document
+ * @param {string} [basePath=''] - JSON Pointer prefix for the generated paths
+ * @returns {Array<{op: string, path: string, value?: any}>} Patch operations
+ */
+export function diffJson(before, after, basePath = '') {
+  const ops = [];
+  collectDiff(before, after, basePath, ops);
+  return ops;
+}
+
+function collectDiff(before, after, path, ops) {
+  if (before === after) {
+    return;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    if (isKeyedArray(before, after)) {
+      const beforeIds = identitiesOf(before, true);
+      const afterIds = identitiesOf(after, true);
+      if (beforeIds.length !== afterIds.length || beforeIds.some((id, index) => id !== afterIds[index])) {
+        collectKeyedArrayDiff(before, after, beforeIds, afterIds, path, ops);
+        return;
+      }
+    }
+    const common = Math.min(before.length, after.length);
+    for (let i = 0; i < common; i++) {
+      collectDiff(before[i], after[i], `${path}/${i}`, ops);
+    }
+    // Remove from the end so earlier indexes stay valid while the patch is applied
+    for (let i = before.length - 1; i >= after.length; i--) {
+      ops.push({ op: 'remove', path: `${path}/${i}` });
+    }
+    for (let i = before.length; i < after.length; i++) {
+      ops.push({ op: 'add', path: `${path}/${i}`, value: after[i] });
+    }
+    return;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    for (const key of Object.keys(before)) {
+      if (!Object.prototype.hasOwnProperty.call(after, key)) {
+        ops.push({ op: 'remove', path: `${path}/${escapePointerToken(key)}` });
+      }
+    }
+    for (const [key, value] of Object.entries(after)) {
+      const childPath = `${path}/${escapePointerToken(key)}`;
+      if (!Object.prototype.hasOwnProperty.call(before, key)) {
+        ops.push({ op: 'add', path: childPath, value });
+      } else {
+        collectDiff(before[key], value, childPath, ops);
+      }
+    }
+    return;
+  }
+
+  ops.push({ op: 'replace', path, value: after });
+}
+
+/**
+ * Apply patch operations to a document
+ * The document is modified in place when possible; always use the return value
+ * (a patch on the root path replaces the whole document).
+ * Inserted values are copied, so documents patched from the same message never share objects.
+ * @param {any} document - Document to patch
+ * @param {Array<object>} patch - Operations from diffJson()
+ * @returns {any} Patched document
+ */
+export function applyJsonPatch(document, patch = []) {
+  let root = document;
+
+  for (const { op, path, value: patchValue } of patch) {
+    const value = patchValue === undefined ? undefined : structuredClone(patchValue);
+    if (path === '') {
+      root = op === 'remove' ? undefined : value;
+      continue;
+    }
+
+    const tokens = path.split('/').slice(1).map(unescapePointerToken);
+    const last = tokens.pop();
+    let parent = root;
+    for (const token of tokens) {
+      parent = parent?.[Array.isArray(parent) ? Number(token) : token];
+    }
+    if (parent === null || typeof parent !== 'object') {
+      throw new Error(`Cannot apply ${op} at ${path}: parent does not exist`);
+    }
+
+    if (Array.isArray(parent)) {
+      const index = last === '-' ? parent.length : Number(last);
+      if (op === 'add') {
+        parent.splice(index, 0, value);
+      } else if (op === 'remove') {
+        parent.splice(index, 1);
+      } else {
+        parent[index] = value;
+      }
+    } else if (op === 'remove') {
+      delete parent[last];
+    } else {
+      parent[last] = value;
+    }
+  }
+
+  return root;
+}
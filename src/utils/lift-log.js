@@ -0,0 +1,218 @@
+/**
+ * Lift Log
+ *
+ * Per-FOP history of every attempt decided on the platform, built from the
+ * update, timer and decision messages the hub receives. Each entry records who
+ * lifted, what was requested, the referee lights and the outcome, with the
+ * times the athlete was called, the clock started, the down signal and the decision.
+ *
+ * Entry shape:
+ * {
+ *   id, fopName, sessionName, athleteKey, fullName, teamName, startNumber, categoryName,
+ *   liftType: 'snatch' | 'cleanJerk', attemptNumber, requestedWeight,
+ *   lights: { ref1, ref2, ref3 },   // 'good' | 'bad' | null
+ *   result: 'good' | 'bad' | null,
+ *   calledAt, clockStartedAt, downAt, decidedAt
+ * }
+ */
+
+export const LIFT_LOG_DEFAULT_LIMIT = 5000;
+
+function toLiftType(liftTypeKey) {
+  if (!liftTypeKey) {
+    return null;
+  }
+  return String(liftTypeKey).toUpperCase() === 'SNATCH' ? 'snatch' : 'cleanJerk';
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Same mapping as extractDecisionState(), without its timer/session-done masking:
+// the lights are recorded even if the clock state is stale in the merged FOP state
+function toLight(value) {
+  if (value === 'true' || value === true) return 'good';
+  if (value === 'false' || value === false) return 'bad';
+  return null;
+}
+
+function attemptKey(entry) {
+  return `${entry.sessionName}|${entry.athleteKey}|${entry.liftType}|${entry.attemptNumber}`;
+}
+
+export class LiftLog {
+  /**
+   * @param {object} [params]
+   * @param {number} [params.limit=5000] - Entries kept per FOP (oldest are discarded first)
+   */
+  constructor({ limit = LIFT_LOG_DEFAULT_LIMIT } = {}) {
+    this.limit = limit;
+    this.revision = 0;     // Incremented on every change (snapshot change detection)
+    this._entries = {};    // Structure: { fopName: [entry, ...] } in decision order
+    this._attempts = {};   // Current attempt context per FOP: { attemptKey, calledAt, clockStartedAt, downAt }
+    this._nextId = 1;
+  }
+
+  /**
+   * Track the attempt in progress from an update or timer message
+   * @param {string} fopName - FOP name
+   * @param {object} fopState - Merged FOP state after the message
+   * @param {string} messageType - 'update' | 'timer'
+   */
+  observe(fopName, fopState, messageType) {
+    const context = this._attemptContext(fopName, fopState);
+    if (messageType === 'timer' && fopState.athleteTimerEventType === 'StartTime' && !context.clockStartedAt) {
+      context.clockStartedAt = Date.now();
+    }
+  }
+
+  /**
+   * Record a decision message
+   * Only FULL_DECISION creates an entry; a later FULL_DECISION for the same attempt
+   * (e.g. a jury reversal) updates it. DOWN_SIGNAL only timestamps the attempt.
+   * @param {string} fopName - FOP name
+   * @param {object} fopState - Merged FOP state after the decision (athlete and attempt fields)
+   * @param {object} [decision=fopState] - The decision message itself (the merged state keeps
+   *   decision fields from earlier messages, so down/lights are read from here)
+   * @returns {object|null} The recorded entry, or null when nothing was recorded
+   */
+  recordDecision(fopName, fopState, decision = fopState) {
+    const context = this._attemptContext(fopName, fopState);
+
+    if (decision.down === 'true' && !context.downAt) {
+      context.downAt = Date.now();
+    }
+    if (decision.decisionEventType !== 'FULL_DECISION' || !fopState.currentAthleteKey) {
+      return null;
+    }
+
+    const lights = { ref1: toLight(decision.d1), ref2: toLight(decision.d2), ref3: toLight(decision.d3) };
+    const isSingleReferee = fopState.singleReferee === 'true' || fopState.singleReferee === true;
+    const entry = {
+      fopName,
+      sessionName: fopState.sessionName || '',
+      athleteKey: String(fopState.currentAthleteKey),
+      fullName: fopState.fullName || null,
+      teamName: fopState.teamName || null,
+      startNumber: toNumber(fopState.startNumber),
+      categoryName: fopState.categoryName || null,
+      liftType: toLiftType(fopState.liftTypeKey),
+      attemptNumber: toNumber(fopState.attemptNumber),
+      requestedWeight: toNumber(fopState.weight),
+      lights,
+      result: this._result(lights, isSingleReferee),
+      calledAt: context.calledAt,
+      clockStartedAt: context.clockStartedAt,
+      downAt: context.downAt,
+      decidedAt: Date.now()
+    };
+
+    const entries = this._entries[fopName] || (this._entries[fopName] = []);
+    const key = attemptKey(entry);
+    const existing = entries.find(candidate => attemptKey(candidate) === key);
+    if (existing) {
+      Object.assign(existing, { lights: entry.lights, result: entry.result, decidedAt: entry.decidedAt });
+      this.revision++;
+      return existing;
+    }
+
+    entry.id = this._nextId++;
+    entries.push(entry);
+    if (entries.length > this.limit) {
+      entries.splice(0, entries.length - this.limit);
+    }
+    this.revision++;
+    return entry;
+  }
+
+  /**
+   * Query recorded attempts (oldest first)
+   * @param {object} [filters]
+   * @param {string} [filters.fopName] - Only this FOP (default: all FOPs, merged by decision time)
+   * @param {string} [filters.sessionName] - Only this session
+   * @param {string} [filters.athleteKey] - Only this athlete
+   * @param {number} [filters.since] - Only attempts decided at or after this timestamp
+   * @returns {Array<object>} Copies of the matching entries
+   */
+  query({ fopName, sessionName, athleteKey, since } = {}) {
+    const sources = fopName ? [this._entries[fopName] || []] : Object.values(this._entries);
+    const results = [];
+    for (const entries of sources) {
+      for (const entry of entries) {
+        if (sessionName && entry.sessionName !== sessionName) continue;
+        if (athleteKey !== undefined && athleteKey !== null && entry.athleteKey !== String(athleteKey)) continue;
+        if (since && entry.decidedAt < since) continue;
+        results.push({ ...entry, lights: { ...entry.lights } });
+      }
+    }
+    if (!fopName) {
+      results.sort((a, b) => a.decidedAt - b.decidedAt || a.id - b.id);
+    }
+    return results;
+  }
+
+  /**
+   * Remove recorded attempts
+   * @param {object} [params]
+   * @param {string} [params.fopName] - Only this FOP (default: all)
+   */
+  clear({ fopName } = {}) {
+    if (fopName) {
+      delete this._entries[fopName];
+      delete this._attempts[fopName];
+    } else {
+      this._entries = {};
+      this._attempts = {};
+    }
+    this.revision++;
+  }
+
+  /**
+   * Serializable form for snapshots
+   */
+  toJSON() {
+    return { nextId: this._nextId, entries: this._entries };
+  }
+
+  /**
+   * Replace the log with a previously serialized one
+   * @param {object} data - Output of toJSON()
+   */
+  load(data) {
+    this._entries = data?.entries || {};
+    this._attempts = {};
+    this._nextId = data?.nextId || 1;
+    this.revision++;
+  }
+
+  /**
+   * Attempt context for the athlete/lift/attempt currently shown on the FOP
+   * A new context (and calledAt time) starts whenever that triple changes.
+   */
+  _attemptContext(fopName, fopState) {
+    const key = `${fopState.currentAthleteKey}|${fopState.liftTypeKey}|${fopState.attemptNumber}`;
+    let context = this._attempts[fopName];
+    if (!context || context.attemptKey !== key) {
+      context = { attemptKey: key, calledAt: Date.now(), clockStartedAt: null, downAt: null };
+      this._attempts[fopName] = context;
+    }
+    return context;
+  }
+
+  _result({ ref1, ref2, ref3 }, isSingleReferee) {
+    if (isSingleReferee) {
+      return ref1;
+    }
+    const lights = [ref1, ref2, ref3];
+    const good = lights.filter(light => light === 'good').length;
+    const bad = lights.filter(light => light === 'bad').length;
+    if (good >= 2) return 'good';
+    if (bad >= 2) return 'bad';
+    return null;
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Lifting Order
+ *
+ * Computes the IWF lifting order from the attempt fields of the athletes of a session,
+ * to cross-check the order OWLCMS sends and to predict it for sessions not yet started.
+ *
+ * Order (IWF rules):
+ *   1. All snatches before the clean & jerks
+ *   2. Lighter requested weight first
+ *   3. Fewer attempts done first
+ *   4. Same weight on the same attempt: larger progression from the previous attempt first,
+ *      then whoever took the previous attempt first (not applicable to first attempts)
+ *   5. Lower start number first
+ *
+ * The requested weight of an attempt is its last change, else its declaration, else its
+ * automatic progression (*Change2 > *Change1 > *Declaration > *AutomaticProgression).
+ */
+
+import { toLiftTimestamp } from '../scoring/category-rankings.js';
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Weight requested for an attempt
+ * @param {object} athlete - Athlete with V2 attempt fields
+ * @param {string} lift - 'snatch' | 'cleanJerk'
+ * @param {number} attemptNumber - 1 to 3
+ * @returns {number|null}
+ */
+export function requestedWeightOf(athlete, lift, attemptNumber) {
+  const prefix = `${lift}${attemptNumber}`;
+  for (const suffix of ['Change2', 'Change1', 'Declaration', 'AutomaticProgression']) {
+    const weight = toNumber(athlete[prefix + suffix]);
+    if (weight !== null && weight > 0) {
+      return weight;
+    }
+  }
+  return null;
+}
+
+/**
+ * Next attempt of an athlete, or null when all six attempts are done
+ * @param {object} athlete - Athlete with V2 attempt fields
+ * @returns {{ liftType, attemptNumber, attemptsDone, requestedWeight, progression, previousLiftTime }|null}
+ */
+export function nextAttemptOf(athlete) {
+  let attemptsDone = 0;
+  for (const lift of ['snatch', 'cleanJerk']) {
+    for (let attemptNumber = 1; attemptNumber <= 3; attemptNumber++) {
+      const actual = athlete[`${lift}${attemptNumber}ActualLift`];
+      if (actual !== null && actual !== undefined && actual !== '') {
+        attemptsDone++;
+        continue;
+      }
+
+      const requestedWeight = requestedWeightOf(athlete, lift, attemptNumber);
+      let progression = null;
+      let previousLiftTime = null;
+      if (attemptNumber > 1) {
+        const previous = toNumber(athlete[`${lift}${attemptNumber - 1}ActualLift`]);
+        progression = requestedWeight !== null && previous !== null ? requestedWeight - Math.abs(previous) : null;
+        previousLiftTime = toLiftTimestamp(athlete[`${lift}${attemptNumber - 1}LiftTime`]);
+      }
+      return { liftType: lift, attemptNumber, attemptsDone, requestedWeight, progression, previousLiftTime };
+    }
+  }
+  return null;
+}
+
+function compareNullable(a, b, direction = 1) {
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return (a - b) * direction;
+}
+
+function compareEntries(a, b) {
+  if (a.liftType !== b.liftType) {
+    return a.liftType === 'snatch' ? -1 : 1;
+  }
+  return compareNullable(a.requestedWeight, b.requestedWeight) ||
+    a.attemptsDone - b.attemptsDone ||
+    (a.attemptNumber > 1
+      ? compareNullable(a.progression, b.progression, -1) || compareNullable(a.previousLiftTime, b.previousLiftTime)
+      : 0) ||
+    compareNullable(toNumber(a.startNumber), toNumber(b.startNumber));
+}
+
+/**
+ * Compute the lifting order of a group of athletes
+ * Athletes with all attempts done are left out.
+ * @param {Array<object>} athletes - Session athletes (database or flattened sessionAthletes records)
+ * @returns {Array<object>} Next attempts in lifting order:
+ *   { athleteKey, fullName, startNumber, liftType, attemptNumber, attemptsDone, requestedWeight, progression, previousLiftTime }
+ */
+export function computeLiftingOrder(athletes = []) {
+  const entries = [];
+  for (const athlete of athletes) {
+    if (!athlete || athlete.isSpacer) continue;
+    const next = nextAttemptOf(athlete);
+    if (!next) continue;
+    entries.push({
+      athleteKey: String(athlete.key ?? athlete.athleteKey ?? athlete.id),
+      fullName: athlete.fullName || athlete.name || '',
+      startNumber: toNumber(athlete.startNumber),
+      ...next
+    });
+  }
+  return entries.sort(compareEntries);
+}
+
+/**
+ * Compare a computed lifting order with the one OWLCMS sent
+ * Only athletes with attempts left are compared (OWLCMS lists finished athletes at the end).
+ * @param {Array<object>} computed - Output of computeLiftingOrder()
+ * @param {Array<string>} receivedKeys - Athlete keys in OWLCMS order (spacers removed)
+ * @returns {{ matches: boolean, expected: Array<string>, received: Array<string>, firstDifference: number }}
+ *   firstDifference is -1 when the orders match
+ */
+export function compareLiftingOrders(computed, receivedKeys = []) {
+  const expected = computed.map(entry => entry.athleteKey);
+  const pending = new Set(expected);
+  const received = receivedKeys.map(String).filter(key => pending.has(key));
+  const length = Math.max(expected.length, received.length);
+  let firstDifference = -1;
+  for (let i = 0; i < length; i++) {
+    if (expected[i] !== received[i]) {
+      firstDifference = i;
+      break;
+    }
+  }
+  return { matches: firstDifference === -1, expected, received, firstDifference };
+}
@@ -1,58 +1,543 @@
 /**
- * Simple Java MessageFormat implementation for JavaScript
- * Supports:
- * - {0}, {1}, etc. - Parameter substitution
- * - {0,choice,1#value1|2#value2|3#value3} - Choice format
+ * Java MessageFormat implementation for JavaScript
+ *
+ * OWLCMS translation strings are java.text.MessageFormat patterns. Supported:
+ * - {0}, {1}, etc. - Parameter substitution (numbers and dates are formatted for the locale)
+ * - {0,number}, {0,number,integer|percent|currency}, {0,number,#,##0.00} - DecimalFormat patterns
+ * - {0,date}, {0,time} with short|medium|long|full or a SimpleDateFormat pattern (dd/MM/yyyy HH:mm)
+ * - {0,choice,0#none|1#one|1<{0,number,integer} athletes} - ChoiceFormat with # (≥), < (>) and ∞ limits;
+ *   a choice containing braces is formatted again with the same arguments (nested patterns)
+ * - Quoting: 'literal {text}', '' for a single quote
+ *
+ * Numbers and dates are formatted with Intl. Dates are shown in the tracker's time zone;
+ * OWLCMS LocalDateTime arrays ([year, month, day, hour, minute, second]) are taken as local time.
+ *
+ * Unlike Java, a missing (or null) argument leaves its {n} placeholder in the output.
  */
 
+// Compiled patterns, by pattern text
+const patternCache = new Map();
+const PATTERN_CACHE_SIZE = 500;
+
+// Intl formatters, by kind, locale and options
+const intlCache = new Map();
+
 /**
- * Format a message using MessageFormat patterns
+ * Compiled MessageFormat pattern
+ *
+ * @example
+ * new MessageFormat('{0,number,#.##} kg', 'fr').format([102.456])
+ * // Returns: "102,46 kg"
+ */
+export class MessageFormat {
+    /**
+     * @param {string} pattern - MessageFormat pattern
+     * @param {string} [locale='en'] - Locale ('fr', 'fr_CA' and 'fr-CA' are accepted)
+     * @throws {SyntaxError} On unbalanced braces or an invalid argument index
+     */
+    constructor(pattern, locale = 'en') {
+        this.pattern = pattern == null ? '' : String(pattern);
+        this.locale = toIntlLocale(locale);
+        this.parts = compilePattern(this.pattern);
+    }
+
+    /**
+     * Format the pattern with arguments
+     * @param {Array<any>} [args=[]] - Arguments, {0} is args[0]
+     * @returns {string}
+     */
+    format(args = []) {
+        let result = '';
+        for (const part of this.parts) {
+            result += typeof part === 'string' ? part : formatElement(part, args, this.locale);
+        }
+        return result;
+    }
+}
+
+/**
+ * Format a message using MessageFormat patterns (English number and date formatting)
  * @param {string} pattern - The pattern string (e.g., "{0}<sup>{0,choice,1#st|2#nd|3#rd}</sup> att.")
  * @param {...any} args - Arguments to substitute
- * @returns {string} Formatted message
- * 
+ * @returns {string} Formatted message (the pattern itself if it is not a valid MessageFormat pattern)
+ *
  * @example
  * formatMessage("{0}<sup>{0,choice,1#st|2#nd|3#rd}</sup> att.", 2)
  * // Returns: "2<sup>nd</sup> att."
  */
 export function formatMessage(pattern, ...args) {
+    return formatMessageForLocale('en', pattern, ...args);
+}
+
+/**
+ * Format a message using MessageFormat patterns, with locale-aware numbers and dates
+ * @param {string} locale - Locale ('fr', 'fr_CA' and 'fr-CA' are accepted)
+ * @param {string} pattern - The pattern string
+ * @param {...any} args - Arguments to substitute
+ * @returns {string} Formatted message (the pattern itself if it is not a valid MessageFormat pattern)
+ *
+ * @example
+ * formatMessageForLocale('de', "{0,number,#.##} kg", 1.5)
+ * // Returns: "1,5 kg"
+ */
+export function formatMessageForLocale(locale, pattern, ...args) {
     if (!pattern) return '';
-    
-    return pattern.replace(/\{(\d+)(?:,choice,([^}]+))?\}/g, (match, index, choicePattern) => {
-        const argIndex = parseInt(index, 10);
-        const value = args[argIndex];
-        
-        if (value == null) return match; // Leave unsubstituted if no value
-        
-        // Handle choice format
-        if (choicePattern) {
-            return processChoice(value, choicePattern);
-        }
-        
-        // Simple substitution
+    try {
+        return new MessageFormat(pattern, locale).format(args);
+    } catch (error) {
+        if (error instanceof SyntaxError) {
+            return String(pattern);
+        }
+        throw error;
+    }
+}
+
+// =============================================================================
+// PATTERN PARSING
+// =============================================================================
+
+/**
+ * Split a pattern into literal strings and format elements { index, type, style }
+ */
+function compilePattern(pattern) {
+    const cached = patternCache.get(pattern);
+    if (cached) return cached;
+
+    const parts = [];
+    let literal = '';
+    let inQuote = false;
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === "'") {
+            if (pattern[i + 1] === "'") {
+                literal += "'";
+                i++;
+            } else {
+                inQuote = !inQuote;
+            }
+            continue;
+        }
+        if (ch === '{' && !inQuote) {
+            const end = findElementEnd(pattern, i);
+            if (end === -1) {
+                throw new SyntaxError(`Unmatched braces in the pattern: ${pattern}`);
+            }
+            if (literal) parts.push(literal);
+            literal = '';
+            parts.push(parseElement(pattern.slice(i + 1, end), pattern));
+            i = end;
+            continue;
+        }
+        literal += ch;
+    }
+    if (literal) parts.push(literal);
+
+    if (patternCache.size >= PATTERN_CACHE_SIZE) {
+        patternCache.clear();
+    }
+    patternCache.set(pattern, parts);
+    return parts;
+}
+
+/**
+ * Position of the brace closing the element opened at `start` (quoted braces do not count)
+ */
+function findElementEnd(pattern, start) {
+    let depth = 1;
+    let inQuote = false;
+    for (let i = start + 1; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === "'") {
+            inQuote = !inQuote;
+        } else if (!inQuote && ch === '{') {
+            depth++;
+        } else if (!inQuote && ch === '}' && --depth === 0) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Parse "index[,type[,style]]"; the style keeps its quotes (choice and date patterns unquote it)
+ */
+function parseElement(text, pattern) {
+    const firstComma = text.indexOf(',');
+    const secondComma = firstComma === -1 ? -1 : text.indexOf(',', firstComma + 1);
+    const indexText = (firstComma === -1 ? text : text.slice(0, firstComma)).trim();
+    const type = firstComma === -1 ? '' : (secondComma === -1 ? text.slice(firstComma + 1) : text.slice(firstComma + 1, secondComma)).trim().toLowerCase();
+    const style = secondComma === -1 ? '' : text.slice(secondComma + 1);
+
+    if (!/^\d+$/.test(indexText)) {
+        throw new SyntaxError(`Invalid argument index "${indexText}" in the pattern: ${pattern}`);
+    }
+    if (type && !['number', 'date', 'time', 'choice'].includes(type)) {
+        throw new SyntaxError(`Unknown format type "${type}" in the pattern: ${pattern}`);
+    }
+    const element = { index: parseInt(indexText, 10), type, style };
+    if (type === 'choice') {
+        element.choices = parseChoice(style, pattern);
+    }
+    return element;
+}
+
+/**
+ * Parse a ChoiceFormat pattern: "limit#text|limit<text|..."
+ * # (or ≤) selects the text from the limit up, < strictly above the limit.
+ */
+function parseChoice(style, pattern) {
+    const choices = [];
+    let limitText = '';
+    let text = '';
+    let inText = false;
+    let inQuote = false;
+    let strict = false;
+
+    const pushChoice = () => {
+        const trimmed = limitText.trim();
+        const limit = trimmed === '∞' ? Infinity : trimmed === '-∞' ? -Infinity : Number(trimmed);
+        if (trimmed === '' || Number.isNaN(limit)) {
+            throw new SyntaxError(`Invalid choice limit "${trimmed}" in the pattern: ${pattern}`);
+        }
+        choices.push({ limit, strict, text });
+    };
+
+    for (let i = 0; i < style.length; i++) {
+        const ch = style[i];
+        if (ch === "'") {
+            if (style[i + 1] === "'") {
+                if (inText) text += "'"; else limitText += "'";
+                i++;
+            } else {
+                inQuote = !inQuote;
+            }
+            continue;
+        }
+        if (!inQuote && !inText && (ch === '#' || ch === '<' || ch === '≤')) {
+            strict = ch === '<';
+            inText = true;
+            continue;
+        }
+        if (!inQuote && inText && ch === '|') {
+            pushChoice();
+            limitText = '';
+            text = '';
+            inText = false;
+            continue;
+        }
+        if (inText) text += ch; else limitText += ch;
+    }
+    if (inText) {
+        pushChoice();
+    } else if (limitText.trim()) {
+        throw new SyntaxError(`Choice without text in the pattern: ${pattern}`);
+    }
+    if (choices.length === 0) {
+        throw new SyntaxError(`Empty choice in the pattern: ${pattern}`);
+    }
+    return choices;
+}
+
+// =============================================================================
+// FORMATTING
+// =============================================================================
+
+function formatElement(element, args, locale) {
+    const value = args[element.index];
+    if (value === undefined || value === null) {
+        return `{${element.index}}`;
+    }
+
+    switch (element.type) {
+        case 'number':
+            return formatNumber(value, element.style, locale);
+        case 'date':
+        case 'time':
+            return formatDate(value, element.type, element.style, locale);
+        case 'choice': {
+            const text = selectChoice(element.choices, Number(value));
+            // Java MessageFormat formats a choice containing braces as a pattern, with the same arguments
+            return text.includes('{') ? new MessageFormat(text, locale).format(args) : text;
+        }
+        default:
+            if (typeof value === 'number' || typeof value === 'bigint') {
+                return getIntl('number', locale, { maximumFractionDigits: 3, roundingMode: 'halfEven' }).format(value);
+            }
+            if (value instanceof Date) {
+                return getIntl('date', locale, { dateStyle: 'short', timeStyle: 'short' }).format(value);
+            }
+            return String(value);
+    }
+}
+
+/**
+ * Java ChoiceFormat selection: the last choice whose limit the number reaches, else the first
+ */
+function selectChoice(choices, number) {
+    let selected = 0;
+    for (let i = 0; i < choices.length; i++) {
+        const { limit, strict } = choices[i];
+        if (!(strict ? number > limit : number >= limit)) break;
+        selected = i;
+    }
+    return choices[selected].text;
+}
+
+function toIntlLocale(locale) {
+    const tag = String(locale || 'en').replace(/_/g, '-');
+    try {
+        return Intl.getCanonicalLocales(tag)[0] || 'en';
+    } catch {
+        return 'en';
+    }
+}
+
+function getIntl(kind, locale, options) {
+    const key = `${kind}|${locale}|${JSON.stringify(options)}`;
+    let formatter = intlCache.get(key);
+    if (!formatter) {
+        formatter = kind === 'number' ? new Intl.NumberFormat(locale, options) : new Intl.DateTimeFormat(locale, options);
+        intlCache.set(key, formatter);
+    }
+    return formatter;
+}
+
+// -----------------------------------------------------------------------------
+// Numbers
+// -----------------------------------------------------------------------------
+
+function formatNumber(value, style, locale) {
+    const number = Number(value);
+    if (Number.isNaN(number)) {
         return String(value);
-    });
+    }
+    const keyword = style.trim().toLowerCase();
+    switch (keyword) {
+        case '':
+            return getIntl('number', locale, { maximumFractionDigits: 3, roundingMode: 'halfEven' }).format(number);
+        case 'integer':
+            return getIntl('number', locale, { maximumFractionDigits: 0, roundingMode: 'halfEven' }).format(number);
+        case 'percent':
+            return getIntl('number', locale, { style: 'percent', maximumFractionDigits: 0, roundingMode: 'halfEven' }).format(number);
+        case 'currency':
+            return getIntl('number', locale, { minimumFractionDigits: 2, maximumFractionDigits: 2, roundingMode: 'halfEven' }).format(number);
+        default:
+            return formatDecimalPattern(number, style, locale);
+    }
 }
 
 /**
- * Process a choice pattern
- * @param {number} value - The value to match
- * @param {string} choicePattern - Pattern like "1#st|2#nd|3#rd"
- * @returns {string} The matched choice value
+ * Parse the positive part of a DecimalFormat pattern ("#,##0.00", "0.#%", "'+'0.0")
  */
-function processChoice(value, choicePattern) {
-    const numValue = Number(value);
-    const choices = choicePattern.split('|');
-    
-    for (const choice of choices) {
-        const [limitStr, result] = choice.split('#', 2);
-        const limit = parseFloat(limitStr.trim());
-        
-        if (numValue === limit) {
-            return result || '';
+function parseDecimalPattern(pattern) {
+    let prefix = '';
+    let suffix = '';
+    let digits = '';
+    let phase = 0; // 0 prefix, 1 number, 2 suffix
+    let multiplier = 1;
+    let inQuote = false;
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === "'") {
+            if (pattern[i + 1] === "'") {
+                if (phase === 0) prefix += "'"; else suffix += "'";
+                i++;
+            } else {
+                inQuote = !inQuote;
+            }
+            continue;
+        }
+        if (!inQuote && ch === ';') break; // Negative subpattern: Java only takes its prefix/suffix, '-' is used instead
+        const isDigitChar = !inQuote && /[#0-9,.E]/.test(ch);
+        if (phase < 2 && isDigitChar) {
+            phase = 1;
+            digits += ch;
+            continue;
+        }
+        if (phase === 1) phase = 2;
+        let literal = ch;
+        if (!inQuote && ch === '%') multiplier = 100;
+        if (!inQuote && ch === '‰') multiplier = 1000;
+        if (!inQuote && ch === '¤') literal = '';
+        if (phase === 0) prefix += literal; else suffix += literal;
+    }
+
+    const [mantissa, exponent] = digits.split('E');
+    const [integerPart, fractionPart = ''] = mantissa.split('.');
+    const minimumFractionDigits = (fractionPart.match(/[0-9]/g) || []).length;
+    return {
+        prefix,
+        suffix,
+        multiplier,
+        minimumIntegerDigits: (integerPart.match(/[0-9]/g) || []).length,
+        minimumFractionDigits,
+        maximumFractionDigits: minimumFractionDigits + (fractionPart.match(/#/g) || []).length,
+        useGrouping: integerPart.includes(','),
+        scientific: exponent !== undefined
+    };
+}
+
+function formatDecimalPattern(number, pattern, locale) {
+    const format = parseDecimalPattern(pattern);
+    const options = {
+        minimumIntegerDigits: Math.min(21, Math.max(1, format.minimumIntegerDigits)),
+        minimumFractionDigits: Math.min(20, format.minimumFractionDigits),
+        maximumFractionDigits: Math.min(20, format.maximumFractionDigits),
+        useGrouping: format.useGrouping,
+        roundingMode: 'halfEven'
+    };
+    if (format.scientific) {
+        options.notation = 'scientific';
+    }
+    const parts = getIntl('number', locale, options).formatToParts(Math.abs(number * format.multiplier));
+    // "#.##" shows 0.5 as ".5" in Java: no integer digit is required
+    const dropZero = format.minimumIntegerDigits === 0 &&
+        parts.some(part => part.type === 'fraction') &&
+        parts.filter(part => part.type === 'integer').map(part => part.value).join('') === '0';
+    const body = parts
+        .filter(part => !(dropZero && part.type === 'integer'))
+        .map(part => part.value)
+        .join('');
+    return `${number < 0 ? '-' : ''}${format.prefix}${body}${format.suffix}`;
+}
+
+// -----------------------------------------------------------------------------
+// Dates
+// -----------------------------------------------------------------------------
+
+/**
+ * Convert an argument to a Date (Date, epoch milliseconds, ISO string or LocalDateTime array)
+ */
+function toDate(value) {
+    if (value instanceof Date) return value;
+    if (Array.isArray(value)) {
+        const [year, month = 1, day = 1, hour = 0, minute = 0, second = 0, nanos = 0] = value;
+        return new Date(year, month - 1, day, hour, minute, second, Math.floor(nanos / 1e6));
+    }
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        // Date-only ISO strings are UTC for Date.parse; OWLCMS means the local day
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+    return new Date(value);
+}
+
+const DATE_STYLES = ['short', 'medium', 'long', 'full'];
+
+function formatDate(value, type, style, locale) {
+    const date = toDate(value);
+    if (Number.isNaN(date.getTime())) {
+        return String(value);
+    }
+    const keyword = style.trim().toLowerCase();
+    if (keyword === '' || DATE_STYLES.includes(keyword)) {
+        const options = type === 'date' ? { dateStyle: keyword || 'medium' } : { timeStyle: keyword || 'medium' };
+        return getIntl('date', locale, options).format(date);
+    }
+    return formatDatePattern(date, style, locale);
+}
+
+function partOf(date, locale, options, type) {
+    return getIntl('date', locale, options).formatToParts(date).find(part => part.type === type)?.value || '';
+}
+
+function offsetOf(date, separator) {
+    const offset = -date.getTimezoneOffset();
+    const sign = offset < 0 ? '-' : '+';
+    const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+    const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+    return `${sign}${hours}${separator}${minutes}`;
+}
+
+/**
+ * One SimpleDateFormat field (letter repeated `count` times)
+ */
+function formatDateField(letter, count, date, locale) {
+    const pad = (number) => String(number).padStart(count, '0');
+    const hours = date.getHours();
+    switch (letter) {
+        case 'G':
+            return partOf(date, locale, { era: count >= 4 ? 'long' : 'short' }, 'era');
+        case 'y':
+        case 'Y':
+            return count === 2 ? String(date.getFullYear() % 100).padStart(2, '0') : pad(date.getFullYear());
+        case 'M':
+        case 'L':
+            if (count >= 4) return partOf(date, locale, { month: 'long' }, 'month');
+            if (count === 3) return partOf(date, locale, { month: 'short' }, 'month');
+            return pad(date.getMonth() + 1);
+        case 'd':
+            return pad(date.getDate());
+        case 'D': {
+            const startOfYear = new Date(date.getFullYear(), 0, 1);
+            return pad(Math.round((new Date(date.getFullYear(), date.getMonth(), date.getDate()) - startOfYear) / 86400000) + 1);
+        }
+        case 'E':
+            return partOf(date, locale, { weekday: count >= 4 ? 'long' : 'short' }, 'weekday');
+        case 'u':
+            return pad(((date.getDay() + 6) % 7) + 1);
+        case 'a':
+            return partOf(date, locale, { hour: 'numeric', hour12: true }, 'dayPeriod');
+        case 'H':
+            return pad(hours);
+        case 'k':
+            return pad(hours || 24);
+        case 'K':
+            return pad(hours % 12);
+        case 'h':
+            return pad(hours % 12 || 12);
+        case 'm':
+            return pad(date.getMinutes());
+        case 's':
+            return pad(date.getSeconds());
+        case 'S':
+            return pad(date.getMilliseconds());
+        case 'z':
+            return partOf(date, locale, { timeZoneName: count >= 4 ? 'long' : 'short' }, 'timeZoneName');
+        case 'Z':
+            return offsetOf(date, '');
+        case 'X':
+            if (date.getTimezoneOffset() === 0) return 'Z';
+            return count === 1 ? offsetOf(date, '').slice(0, 3) : offsetOf(date, count >= 3 ? ':' : '');
+        default:
+            return letter.repeat(count);
+    }
+}
+
+/**
+ * Format a date with a SimpleDateFormat pattern ("EEEE d MMMM yyyy", "HH:mm", "'at' h a")
+ */
+function formatDatePattern(date, pattern, locale) {
+    let result = '';
+    let i = 0;
+    while (i < pattern.length) {
+        const ch = pattern[i];
+        if (ch === "'") {
+            if (pattern[i + 1] === "'") {
+                result += "'";
+                i += 2;
+                continue;
+            }
+            i++;
+            while (i < pattern.length) {
+                if (pattern[i] === "'") {
+                    if (pattern[i + 1] !== "'") break;
+                    i++;
+                }
+                result += pattern[i++];
+            }
+            i++;
+            continue;
+        }
+        if (/[a-zA-Z]/.test(ch)) {
+            let count = 1;
+            while (pattern[i + count] === ch) count++;
+            result += formatDateField(ch, count, date, locale);
+            i += count;
+            continue;
         }
+        result += ch;
+        i++;
     }
-    
-    // No match found - return the value as-is
-    return String(value);
+    return result;
 }
@@ -0,0 +1,170 @@
+/**
+ * Message Journal
+ *
+ * Append-only NDJSON journal of every inbound OWLCMS frame handled by the hub,
+ * so field sessions can be replayed later with ReplayPlayer.
+ *
+ * One JSON object per line:
+ *   { seq, receivedAt, kind: 'message',  type: 'update'|'timer'|'decision'|..., payload: {...} }
+ *   { seq, receivedAt, kind: 'database', type: 'database', payload: {...} }
+ *   { seq, receivedAt, kind: 'binary',   type: 'flags_zip'|..., size, bytes: '<base64>' }
+ *   { seq, receivedAt, kind: 'binary',   type: 'pictures_zip'|..., size, sha256 }  (above maxInlineBinaryBytes)
+ *
+ * Lines go through a buffered write stream so recording never blocks the message path.
+ * When a file reaches maxBytes the journal continues in a new segment
+ * (journal.ndjson, journal.1.ndjson, journal.2.ndjson, ...) and only the newest maxFiles segments are kept.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { logger } from './logger.js';
+
+export class MessageJournal {
+  /**
+   * @param {object} params
+   * @param {string} params.journalPath - NDJSON file to append to (parent directory is created)
+   * @param {number} [params.maxBytes=268435456] - Size at which the journal moves to a new segment (0 = never)
+   * @param {number} [params.maxFiles=4] - Segments kept on disk, oldest removed first (0 = keep all)
+   * @param {number} [params.maxInlineBinaryBytes=Infinity] - Larger binary frames are stored as size + sha256
+   *   only (not replayable)
+   */
+  constructor({ journalPath, maxBytes = 256 * 1024 * 1024, maxFiles = 4, maxInlineBinaryBytes = Infinity } = {}) {
+    if (!journalPath || typeof journalPath !== 'string') {
+      throw new Error('MessageJournal requires journalPath option');
+    }
+    this.basePath = path.resolve(journalPath);
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.maxInlineBinaryBytes = maxInlineBinaryBytes;
+    fs.mkdirSync(path.dirname(this.basePath), { recursive: true });
+    this._seq = 0;
+    this._segment = 0;
+    this._closing = [];
+    this._open();
+  }
+
+  /**
+   * Append one inbound frame to the journal
+   * @param {object} entry
+   * @param {string} entry.kind - 'message' | 'database' | 'binary'
+   * @param {string|null} [entry.type] - Message type
+   * @param {object} [entry.payload] - JSON payload (text frames)
+   * @param {Buffer} [entry.bytes] - Raw frame (binary frames)
+   */
+  record({ kind, type = null, payload, bytes } = {}) {
+    if (!this._stream) {
+      return;
+    }
+
+    const line = { seq: ++this._seq, receivedAt: Date.now(), kind, type };
+    if (bytes) {
+      line.size = bytes.length;
+      if (bytes.length > this.maxInlineBinaryBytes) {
+        line.sha256 = createHash('sha256').update(bytes).digest('hex');
+      } else {
+        line.bytes = Buffer.from(bytes).toString('base64');
+      }
+    } else {
+      line.payload = payload;
+    }
+
+    const text = JSON.stringify(line) + '\n';
+    const size = Buffer.byteLength(text);
+    if (this.maxBytes > 0 && this._bytes > 0 && this._bytes + size > this.maxBytes) {
+      this._rotate();
+    }
+    this._bytes += size;
+    this._stream.write(text);
+  }
+
+  /**
+   * Close the journal file; further record() calls are ignored
+   * @returns {Promise<void>} Resolves once every recorded line has been written
+   */
+  close() {
+    if (this._stream) {
+      this._closeStream();
+    }
+    return Promise.all(this._closing).then(() => undefined);
+  }
+
+  _segmentPath(segment) {
+    if (segment === 0) {
+      return this.basePath;
+    }
+    const ext = path.extname(this.basePath);
+    return `${this.basePath.slice(0, this.basePath.length - ext.length)}.${segment}${ext}`;
+  }
+
+  _open() {
+    this.path = this._segmentPath(this._segment);
+    try {
+      this._bytes = fs.statSync(this.path).size;
+    } catch {
+      this._bytes = 0;
+    }
+    const stream = fs.createWriteStream(this.path, { flags: 'a' });
+    stream.on('error', (err) => {
+      logger.error(`[Journal] Failed to write ${stream.path}: ${err.message}`);
+      if (this._stream === stream) {
+        this._stream = null;
+      }
+    });
+    this._stream = stream;
+  }
+
+  _track(pending) {
+    this._closing.push(pending);
+    pending.then(() => {
+      this._closing = this._closing.filter(other => other !== pending);
+    });
+    return pending;
+  }
+
+  _closeStream() {
+    const stream = this._stream;
+    this._stream = null;
+    return this._track(new Promise((resolve) => {
+      stream.once('close', resolve);
+      stream.end();
+    }));
+  }
+
+  _rotate() {
+    const closed = this._closeStream();
+    this._segment++;
+    this._open();
+    logger.info(`[Journal] Journal reached ${this.maxBytes} bytes, continuing in ${this.path}`);
+
+    const expired = this.maxFiles > 0 ? this._segment - this.maxFiles : -1;
+    if (expired >= 0) {
+      const expiredPath = this._segmentPath(expired);
+      this._track(closed.then(() => fs.promises.rm(expiredPath, { force: true })).catch((err) => {
+        logger.warn(`[Journal] Failed to remove ${expiredPath}: ${err.message}`);
+      }));
+    }
+  }
+}
+
+/**
+ * Read all entries from an NDJSON journal
+ * Malformed lines (e.g. a partial last line after a crash) are skipped.
+ * @param {string} journalPath - Journal file
+ * @returns {Array<object>} Entries in file order
+ */
+export function readJournal(journalPath) {
+  const text = fs.readFileSync(journalPath, 'utf8');
+  const entries = [];
+  const lines = text.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (err) {
+      logger.warn(`[Journal] Skipping malformed line ${i + 1} in ${journalPath}`);
+    }
+  }
+  return entries;
+}
@@ -6,8 +6,12 @@
  * 
  * All functions that need translations accept a `hub` parameter with a translate() method.
  * Example: hub.translate('Snatch', 'en') => 'Snatch'
+ * Translations with arguments are formatted here as Java MessageFormat patterns, so any
+ * object with translate(key, locale) works as `hub`.
  */
 
+import { formatMessageForLocale } from './message-format.js';
+
 // =============================================================================
 // BREAK MODE DETECTION
 // =============================================================================
@@ -75,7 +79,7 @@ export function buildAttemptLabel(fopUpdate, hub, locale = 'en') {
 	} else {
 		template = hub.translate('C_and_J_number', locale);
 	}
-	return template.replace('{0}', attemptNumber);
+	return formatMessageForLocale(locale, template, attemptNumber);
 }
 
 // =============================================================================
@@ -97,7 +101,7 @@ export function inferGroupName(fopUpdate, hub, locale = 'en') {
 	}
 	// Use translation key "Group_number" with session name (translate handles !Key fallback)
 	const template = hub.translate('Group_number', locale);
-	return template.replace('{0}', sessionName);
+	return formatMessageForLocale(locale, template, sessionName);
 }
 
 // =============================================================================
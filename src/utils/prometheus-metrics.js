@@ -0,0 +1,196 @@
+/**
+ * Prometheus Metrics
+ *
+ * Minimal counters, gauges and histograms rendered in the Prometheus text exposition format
+ * (version 0.0.4), so a venue Prometheus/Grafana can scrape the tracker without extra packages.
+ *
+ *   const registry = new MetricsRegistry();
+ *   const frames = registry.counter({ name: 'frames_total', help: 'Frames received', labelNames: ['type'] });
+ *   frames.inc({ type: 'update' });
+ *   registry.render(); // "# HELP frames_total Frames received\n# TYPE frames_total counter\n..."
+ *
+ * Gauges (and counters mirroring an existing count) may be given a `collect` function that returns
+ * the current samples at render time instead of being updated as events happen.
+ */
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds, suitable for message handling and database reloads
+export const DEFAULT_DURATION_BUCKETS = Object.freeze([0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]);
+
+// Bytes, from small JSON-in-binary frames to large picture archives
+export const DEFAULT_SIZE_BUCKETS = Object.freeze([1e3, 1e4, 1e5, 1e6, 5e6, 1e7, 5e7, 1e8]);
+
+const escapeHelp = (text) => String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+function formatLabels(labelNames, labels, extra = '') {
+  const parts = labelNames.map(name => `${name}="${escapeLabelValue(labels[name] ?? '')}"`);
+  if (extra) parts.push(extra);
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+class Metric {
+  constructor({ name, help, labelNames = [], collect = null }, type) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name || '')) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    this.name = name;
+    this.help = help || name;
+    this.type = type;
+    this.labelNames = [...labelNames];
+    this.collect = collect;
+    this.values = new Map(); // labelKey -> { labels, value }
+  }
+
+  /**
+   * Current samples: [{ labels, value }]
+   */
+  samples() {
+    return this.collect ? this.collect() || [] : [...this.values.values()];
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels = {}, value } of this.samples()) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, labels)} ${formatValue(value)}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super(options, 'counter');
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = labelKey(this.labelNames, labels);
+    const entry = this.values.get(key);
+    if (entry) {
+      entry.value += amount;
+    } else {
+      this.values.set(key, { labels: { ...labels }, value: amount });
+    }
+  }
+}
+
+class Gauge extends Metric {
+  constructor(options) {
+    super(options, 'gauge');
+  }
+
+  set(labels = {}, value) {
+    this.values.set(labelKey(this.labelNames, labels), { labels: { ...labels }, value });
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_DURATION_BUCKETS, ...options }) {
+    super(options, 'histogram');
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    if (!Number.isFinite(value)) {
+      return;
+    }
+    const key = labelKey(this.labelNames, labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { labels: { ...labels }, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, labels, `le="${formatValue(bound)}"`)} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, labels, 'le="+Inf"')} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, labels)} ${count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Set of metrics rendered together
+ */
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  _register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * @param {{ name: string, help: string, labelNames?: Array<string>, collect?: function }} options
+   * @returns {Counter} inc(labels, amount = 1)
+   */
+  counter(options) {
+    return this._register(new Counter(options));
+  }
+
+  /**
+   * @param {{ name: string, help: string, labelNames?: Array<string>, collect?: function }} options
+   * @returns {Gauge} set(labels, value)
+   */
+  gauge(options) {
+    return this._register(new Gauge(options));
+  }
+
+  /**
+   * @param {{ name: string, help: string, labelNames?: Array<string>, buckets?: Array<number> }} options
+   * @returns {Histogram} observe(labels, value)
+   */
+  histogram(options) {
+    return this._register(new Histogram(options));
+  }
+
+  /**
+   * Clear the recorded values (collected metrics are unaffected)
+   */
+  reset() {
+    for (const metric of this.metrics.values()) {
+      metric.reset();
+    }
+  }
+
+  /**
+   * Render every metric in the Prometheus text format
+   * @returns {string}
+   */
+  render() {
+    return [...this.metrics.values()].map(metric => metric.render()).join('\n') + '\n';
+  }
+}
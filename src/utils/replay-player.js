@@ -0,0 +1,189 @@
+/**
+ * Replay Player
+ *
+ * Feeds a message journal (see message-journal.js) back into a CompetitionHub,
+ * either with the original timing (speed 1), accelerated (speed > 1, or Infinity
+ * for no delays at all), or one entry at a time with step().
+ *
+ * Events:
+ * - 'entry' { entry, result, position } after each entry is applied
+ * - 'end'   { position } when the last entry has been applied
+ *
+ * @example
+ * const player = new ReplayPlayer({ hub: new CompetitionHub(), journalPath: 'journal.ndjson', speed: 10 });
+ * await player.play();
+ */
+
+import { EventEmitter } from 'events';
+import { readJournal } from './message-journal.js';
+import { handleBinaryMessage } from '../websocket/binary-handler.js';
+import { logger } from './logger.js';
+
+export class ReplayPlayer extends EventEmitter {
+  /**
+   * @param {object} params
+   * @param {object} params.hub - CompetitionHub instance to feed
+   * @param {string} [params.journalPath] - NDJSON journal to load
+   * @param {Array<object>} [params.entries] - Already-loaded journal entries (instead of journalPath)
+   * @param {number} [params.speed=1] - Playback speed multiplier
+   */
+  constructor({ hub, journalPath, entries, speed = 1 } = {}) {
+    super();
+    if (!hub) {
+      throw new Error('ReplayPlayer requires hub option');
+    }
+    if (!entries && !journalPath) {
+      throw new Error('ReplayPlayer requires journalPath or entries option');
+    }
+    this.hub = hub;
+    this.entries = entries || readJournal(journalPath);
+    this.speed = speed;
+    this._position = 0;
+    this._playing = false;
+    this._wakeUp = null;
+    this._sleepTimer = null;
+  }
+
+  /** Number of entries in the journal */
+  get length() {
+    return this.entries.length;
+  }
+
+  /** Index of the next entry to apply */
+  get position() {
+    return this._position;
+  }
+
+  isPlaying() {
+    return this._playing;
+  }
+
+  /**
+   * Change playback speed (takes effect at the next entry)
+   * @param {number} speed - 1 = real time, 10 = ten times faster, Infinity = no delays
+   */
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  /**
+   * Apply the next journal entry immediately
+   * @returns {Promise<{entry: object, result: any}|null>} null when the journal is exhausted
+   */
+  async step() {
+    if (this._position >= this.entries.length) {
+      return null;
+    }
+
+    const entry = this.entries[this._position++];
+    const result = await this._applyEntry(entry);
+    this.emit('entry', { entry, result, position: this._position });
+
+    if (this._position >= this.entries.length) {
+      this.emit('end', { position: this._position });
+    }
+    return { entry, result };
+  }
+
+  /**
+   * Play from the current position until the end, pause() or reset()
+   * Delays between entries follow the recorded receive times divided by speed.
+   * @param {object} [params]
+   * @param {number} [params.speed] - Override playback speed
+   * @returns {Promise<number>} Number of entries applied during this call
+   */
+  async play({ speed } = {}) {
+    if (this._playing) {
+      return 0;
+    }
+    if (speed !== undefined) {
+      this.setSpeed(speed);
+    }
+
+    this._playing = true;
+    let applied = 0;
+    try {
+      while (this._playing && this._position < this.entries.length) {
+        const previous = this.entries[this._position - 1];
+        const next = this.entries[this._position];
+        if (previous) {
+          await this._sleep(this._delayBetween(previous, next));
+          if (!this._playing) break;
+        }
+        await this.step();
+        applied++;
+      }
+    } finally {
+      this._playing = false;
+    }
+    return applied;
+  }
+
+  /**
+   * Stop playback after the entry currently being applied
+   */
+  pause() {
+    this._playing = false;
+    if (this._sleepTimer) {
+      clearTimeout(this._sleepTimer);
+      this._sleepTimer = null;
+    }
+    if (this._wakeUp) {
+      this._wakeUp();
+      this._wakeUp = null;
+    }
+  }
+
+  /**
+   * Stop playback and rewind to the first entry (hub state is not reset)
+   */
+  reset() {
+    this.pause();
+    this._position = 0;
+  }
+
+  _delayBetween(previous, next) {
+    if (!Number.isFinite(this.speed) || this.speed <= 0) {
+      return 0;
+    }
+    const gap = (next.receivedAt || 0) - (previous.receivedAt || 0);
+    return gap > 0 ? gap / this.speed : 0;
+  }
+
+  _sleep(ms) {
+    if (ms <= 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this._wakeUp = resolve;
+      this._sleepTimer = setTimeout(() => {
+        this._sleepTimer = null;
+        this._wakeUp = null;
+        resolve();
+      }, ms);
+    });
+  }
+
+  async _applyEntry(entry) {
+    try {
+      switch (entry.kind) {
+        case 'database':
+          return this.hub.handleFullCompetitionData(entry.payload);
+        case 'binary':
+          if (entry.bytes === undefined && entry.sha256) {
+            logger.warn(`[Replay] Skipping entry ${entry.seq}: ${entry.type} frame was journaled as a hash only`);
+            return null;
+          }
+          return await handleBinaryMessage(Buffer.from(entry.bytes || '', 'base64'), this.hub);
+        case 'message':
+          return this.hub.handleOwlcmsMessage(entry.payload, entry.type || 'update');
+        default:
+          logger.warn(`[Replay] Skipping entry ${entry.seq}: unknown kind '${entry.kind}'`);
+          return null;
+      }
+    } catch (error) {
+      logger.error(`[Replay] Error applying entry ${entry.seq} (${entry.kind}/${entry.type}):`, error.message);
+      return null;
+    }
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Session Lifecycle
+ *
+ * Phases a session goes through on a FOP, inferred from OWLCMS update/timer/decision messages:
+ *
+ *   inactive -> introduction -> snatch -> break_before_cj -> clean_jerk -> done
+ *                                                                           |
+ *                                   (activity in the same session) reopened <
+ *
+ * Technical, jury, marshal and ceremony breaks pause the current phase without changing it.
+ */
+
+export const SESSION_PHASES = {
+  INACTIVE: 'inactive',
+  INTRODUCTION: 'introduction',
+  SNATCH: 'snatch',
+  BREAK_BEFORE_CJ: 'break_before_cj',
+  CLEAN_JERK: 'clean_jerk',
+  DONE: 'done',
+  REOPENED: 'reopened'
+};
+
+const INTRODUCTION_BREAKS = new Set(['BEFORE_INTRODUCTION', 'INTRODUCTION', 'FIRST_SNATCH']);
+
+/**
+ * Whether a message marks the end of the session
+ * @param {object} params - Incoming message payload
+ * @returns {boolean}
+ */
+export function isSessionDoneMessage(params = {}) {
+  return params.uiEvent === 'GroupDone' ||
+    params.breakType === 'GROUP_DONE' ||
+    String(params.mode || '').toUpperCase() === 'SESSION_DONE';
+}
+
+/**
+ * Compute the next phase of a session
+ * @param {object} params
+ * @param {object} params.message - Incoming message payload (only the fields OWLCMS sent)
+ * @param {object} params.state - Merged FOP state after the message
+ * @param {string} params.phase - Current phase
+ * @param {boolean} params.sameSession - false when the message belongs to another session than the current one
+ * @returns {string} Next phase (may equal the current one)
+ */
+export function inferSessionPhase({ message = {}, state = {}, phase = SESSION_PHASES.INACTIVE, sameSession = true } = {}) {
+  if (isSessionDoneMessage(message)) {
+    return SESSION_PHASES.DONE;
+  }
+
+  const hasActivity = Boolean(message.uiEvent || message.athleteTimerEventType || message.decisionEventType);
+  const fopState = state.fopState || '';
+  const inBreak = state.break === 'true' || state.break === true || fopState === 'BREAK';
+  const breakType = state.breakType || '';
+
+  let next = phase;
+  if (inBreak) {
+    if (INTRODUCTION_BREAKS.has(breakType) || (breakType === 'CEREMONY' && state.ceremonyType === 'INTRODUCTION')) {
+      next = SESSION_PHASES.INTRODUCTION;
+    } else if (breakType === 'FIRST_CJ') {
+      next = SESSION_PHASES.BREAK_BEFORE_CJ;
+    }
+  } else if (fopState === 'INACTIVE') {
+    next = SESSION_PHASES.INACTIVE;
+  } else if (state.liftTypeKey) {
+    next = String(state.liftTypeKey).toUpperCase() === 'SNATCH' ? SESSION_PHASES.SNATCH : SESSION_PHASES.CLEAN_JERK;
+  }
+
+  if (phase === SESSION_PHASES.DONE) {
+    if (!hasActivity) {
+      return phase;
+    }
+    // Activity after the end: the same session resumes (reopened), another one starts afresh
+    return sameSession ? SESSION_PHASES.REOPENED : next;
+  }
+  return next;
+}
@@ -0,0 +1,96 @@
+/**
+ * Session Schedule
+ *
+ * Normalizes the session objects of the database (db.sessions) into a schedule:
+ * platform, competition start and weigh-in times, ordered by start time.
+ *
+ * OWLCMS exports times as LocalDateTime (wall clock of the venue, no time zone), either as
+ * arrays ([year, month, day, hour, minute, second, nanos]) or ISO strings. They are kept as
+ * local 'YYYY-MM-DDTHH:mm:ss' strings so "14:00" stays 14:00 whatever the tracker's time zone.
+ */
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Convert an OWLCMS LocalDateTime to a local 'YYYY-MM-DDTHH:mm:ss' string
+ * @param {Array|string|number|null} value - LocalDateTime array, ISO string or epoch milliseconds
+ * @returns {string|null}
+ */
+export function toLocalDateTime(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    const [year, month = 1, day = 1, hour = 0, minute = 0, second = 0] = value;
+    if (!year) return null;
+    return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}`;
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return null;
+    const date = new Date(value);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  }
+  const match = String(value).match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2})(:\d{2})?)?/);
+  if (!match) return null;
+  return `${match[1]}T${match[2] || '00:00'}${match[3] || ':00'}`;
+}
+
+/**
+ * Platform name of a session (OWLCMS sends the name, older exports an object)
+ * @param {object} session
+ * @returns {string|null}
+ */
+export function sessionPlatformOf(session) {
+  const platform = session?.platform ?? session?.platformName ?? null;
+  if (platform && typeof platform === 'object') {
+    return platform.name ?? null;
+  }
+  return platform === null || platform === '' ? null : String(platform);
+}
+
+/**
+ * Normalize a database session
+ * @param {object} session - Entry of db.sessions
+ * @returns {{ name, description, platform, date, startTime, weighInTime, done }}
+ *   startTime/weighInTime are local 'YYYY-MM-DDTHH:mm:ss' strings, date is the start date 'YYYY-MM-DD'
+ */
+export function normalizeSession(session = {}) {
+  const startTime = toLocalDateTime(session.competitionTime ?? session.startTime);
+  return {
+    name: session.name ?? null,
+    description: session.description || '',
+    platform: sessionPlatformOf(session),
+    date: startTime ? startTime.slice(0, 10) : null,
+    startTime,
+    weighInTime: toLocalDateTime(session.weighInTime),
+    done: session.done === true
+  };
+}
+
+/**
+ * Compare sessions by start time (unscheduled last), then name ("M2" before "M10")
+ */
+export function compareSessions(a, b) {
+  if (a.startTime !== b.startTime) {
+    if (!a.startTime) return 1;
+    if (!b.startTime) return -1;
+    return a.startTime < b.startTime ? -1 : 1;
+  }
+  return String(a.name ?? '').localeCompare(String(b.name ?? ''), undefined, { numeric: true });
+}
+
+/**
+ * Current and next session of a platform
+ * The current session is the one the platform's session status names (unless it is done);
+ * the next one is the first session not done that comes after it in the schedule, or after
+ * the session that just finished.
+ * @param {Array<object>} sessions - Sessions of the platform, in schedule order
+ * @param {{ sessionName: string, isDone: boolean }} [status] - Live session status of the platform
+ * @returns {{ current: object|null, next: object|null }}
+ */
+export function findCurrentAndNextSession(sessions = [], status = null) {
+  const liveIndex = status?.sessionName ? sessions.findIndex(session => session.name === status.sessionName) : -1;
+  const current = liveIndex >= 0 && !status.isDone ? sessions[liveIndex] : null;
+  const next = sessions.find((session, index) => index > liveIndex && !session.done) || null;
+  return { current, next };
+}
@@ -0,0 +1,79 @@
+/**
+ * Hub Snapshot Store
+ *
+ * Reads and writes competition hub snapshots as JSON files so that a tracker
+ * restart can rehydrate its state before OWLCMS resends everything.
+ *
+ * Writes go to a temporary file that is then renamed over the previous
+ * snapshot, so a crash in the middle of a write never leaves a truncated file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+export const SNAPSHOT_FORMAT_VERSION = 1;
+export const SNAPSHOT_FILE_NAME = 'hub-snapshot.json';
+
+/**
+ * Resolve the snapshot file path inside a snapshot directory
+ * @param {string} snapshotDir - Directory holding the snapshot
+ * @returns {string} Absolute path to the snapshot file
+ */
+export function getSnapshotPath(snapshotDir) {
+  return path.join(path.resolve(snapshotDir), SNAPSHOT_FILE_NAME);
+}
+
+/**
+ * Write a snapshot atomically
+ * @param {string} snapshotDir - Directory holding the snapshot (created if missing)
+ * @param {object} snapshot - Serializable hub state
+ * @returns {string} Path of the written file
+ */
+export function writeSnapshot(snapshotDir, snapshot) {
+  const filePath = getSnapshotPath(snapshotDir);
+  const tmpPath = `${filePath}.tmp`;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tmpPath, JSON.stringify({ formatVersion: SNAPSHOT_FORMAT_VERSION, ...snapshot }));
+  fs.renameSync(tmpPath, filePath);
+
+  return filePath;
+}
+
+/**
+ * Read the snapshot from disk
+ * Unreadable files or files written by another format version are ignored.
+ * @param {string} snapshotDir - Directory holding the snapshot
+ * @returns {object|null} Parsed snapshot, or null when none is usable
+ */
+export function readSnapshot(snapshotDir) {
+  const filePath = getSnapshotPath(snapshotDir);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (snapshot?.formatVersion !== SNAPSHOT_FORMAT_VERSION) {
+      logger.warn(`[Snapshot] Ignoring ${filePath}: format version ${snapshot?.formatVersion} (expected ${SNAPSHOT_FORMAT_VERSION})`);
+      return null;
+    }
+    return snapshot;
+  } catch (err) {
+    logger.warn(`[Snapshot] Ignoring unreadable snapshot ${filePath}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Delete the snapshot file (no-op if absent)
+ * @param {string} snapshotDir - Directory holding the snapshot
+ */
+export function deleteSnapshot(snapshotDir) {
+  try {
+    fs.rmSync(getSnapshotPath(snapshotDir), { force: true });
+  } catch (err) {
+    logger.warn(`[Snapshot] Failed to delete snapshot: ${err.message}`);
+  }
+}
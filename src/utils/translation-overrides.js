@@ -0,0 +1,75 @@
+/**
+ * Translation Overrides
+ *
+ * Tracker-local translation bundles layered on top of the OWLCMS translations_zip data,
+ * to fix the wording for a venue without waiting for an OWLCMS release.
+ *
+ * A bundle directory holds one flat JSON map per locale, named after the locale:
+ *
+ *   local/translations/fr.json     { "Snatch": "Arr.", "Group_number": "Groupe {0}" }
+ *   local/translations/fr-CA.json  (fr_CA.json is accepted too)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+/**
+ * Normalize a locale code to the hyphenated form used by the hub ('fr_CA' -> 'fr-CA')
+ * @param {string} locale
+ * @returns {string}
+ */
+export function normalizeOverrideLocale(locale) {
+  return String(locale || 'en').trim().replace(/_/g, '-');
+}
+
+/**
+ * Keep the string entries of a translation map
+ * @param {object} translations - { key: text }
+ * @returns {object|null} null when the argument is not an object
+ */
+export function sanitizeOverrideMap(translations) {
+  if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+    return null;
+  }
+  const map = {};
+  for (const [key, value] of Object.entries(translations)) {
+    if (typeof value === 'string') {
+      map[key] = value;
+    } else if (typeof value === 'number' || typeof value === 'boolean') {
+      map[key] = String(value);
+    }
+  }
+  return map;
+}
+
+/**
+ * Read the override bundles of a directory
+ * Unreadable files are skipped with a warning; a missing directory yields no bundles.
+ * @param {string} dir - Directory holding <locale>.json files
+ * @returns {{ dir: string, locales: object, files: Array<string> }} locales maps each locale to its overrides
+ */
+export function readTranslationOverrides(dir) {
+  const resolved = path.resolve(dir);
+  const result = { dir: resolved, locales: {}, files: [] };
+  if (!fs.existsSync(resolved)) {
+    return result;
+  }
+
+  for (const file of fs.readdirSync(resolved).filter(name => name.toLowerCase().endsWith('.json')).sort()) {
+    const filePath = path.join(resolved, file);
+    try {
+      const map = sanitizeOverrideMap(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+      if (!map) {
+        logger.warn(`[Translations] Ignoring ${filePath}: expected a JSON object of translations`);
+        continue;
+      }
+      const locale = normalizeOverrideLocale(path.basename(file, path.extname(file)));
+      result.locales[locale] = { ...result.locales[locale], ...map };
+      result.files.push(filePath);
+    } catch (err) {
+      logger.warn(`[Translations] Ignoring unreadable override file ${filePath}: ${err.message}`);
+    }
+  }
+  return result;
+}
@@ -12,31 +12,99 @@ import { WebSocketServer } from 'ws';
 import { captureMessage, LEARNING_MODE } from './utils/learning-mode.js';
 import { logger } from './utils/logger.js';
 import { extractEmbeddedDatabase } from './protocol/embedded-database.js';
-import { handleBinaryMessage } from './websocket/binary-handler.js';
+import { handleBinaryMessage, peekBinaryMessageType } from './websocket/binary-handler.js';
 import { extractAndValidateVersion } from './protocol/protocol-config.js';
+import { PROMETHEUS_CONTENT_TYPE } from './utils/prometheus-metrics.js';
 
-let wss = null;
-let activeConnection = null; // Track active WebSocket connection for sending messages
-let hubInstance = null; // Injected hub instance from attach/inject mode
+// One context per initialized WebSocket endpoint: { hub, wss, wsPath, connections, ownerConnection }
+// Several hubs can be served from the same process, each on its own path
+const serverContexts = new Set();
 
-// Global guard to prevent attaching WebSocket to the same server twice
-// Uses a WeakMap keyed by server instance so each server can only have one WebSocket attached
+// Connection ids are unique across all endpoints, for log correlation
+let connectionCounter = 0;
+
+// Most recently initialized context, used when the exported helpers are called without a hub
+let defaultContext = null;
+
+// Binary message types with their own handler, used as metrics labels (anything else is 'other')
+const BINARY_HANDLERS = new Set(['database_zip', 'database', 'flags_zip', 'flags', 'pictures_zip', 'pictures', 'translations_zip', 'logos_zip']);
+
+// Global guard to prevent attaching WebSocket to the same server and path twice
+// WeakMap keyed by server instance, holding a Map of path -> handler
 const attachedServers = new WeakMap();
 
+function findContext(hub) {
+	if (!hub) {
+		return defaultContext;
+	}
+	for (const context of serverContexts) {
+		if (context.hub === hub) {
+			return context;
+		}
+	}
+	return null;
+}
+
+/**
+ * Connection that owns the hub data (the last one to deliver an accepted database)
+ * Before any database has arrived, falls back to the most recent open, authenticated connection.
+ */
+function getOwnerConnection(context) {
+	if (!context) {
+		return null;
+	}
+	const owner = context.ownerConnection;
+	if (owner && owner.ws.readyState === 1) {
+		return owner;
+	}
+	let fallback = null;
+	for (const connection of context.connections.values()) {
+		if (connection.ws.readyState === 1 && connection.authenticated) {
+			fallback = connection;
+		}
+	}
+	return fallback;
+}
+
+function describeConnection(connection) {
+	return `#${connection.id} (${connection.remoteAddress || 'unknown address'})`;
+}
+
 /**
- * Close the active OWLCMS connection to force a full reconnect
+ * List the OWLCMS connections currently open on a WebSocket endpoint
+ * @param {object} [options]
+ * @param {object} [options.hub] - Hub whose connections to list (default: most recently initialized server)
+ * @returns {Array<object>} { id, remoteAddress, connectedAt, lastMessageAt, protocolVersion, competitionName, authenticated, hasDatabase, authoritative }
+ */
+export function getConnections({ hub } = {}) {
+	const context = findContext(hub);
+	if (!context) {
+		return [];
+	}
+	const owner = getOwnerConnection(context);
+	return [...context.connections.values()].map(({ ws, ...info }) => ({
+		...info,
+		authoritative: info.id === owner?.id
+	}));
+}
+
+/**
+ * Close the OWLCMS connection that owns the hub data to force a full reconnect
  * OWLCMS will automatically reconnect and resend all data (database, flags, translations, etc.)
+ * @param {object} [options]
+ * @param {object} [options.hub] - Hub whose connection to close (default: most recently initialized server)
  * @returns {boolean} true if connection was closed, false if no active connection
  */
-export function closeConnection() {
-	if (!activeConnection) {
+export function closeConnection({ hub } = {}) {
+	const owner = getOwnerConnection(findContext(hub));
+	if (!owner) {
 		logger.warn('[WebSocket] No active connection to close');
 		return false;
 	}
 	
-	logger.info('[WebSocket] 🔌 Closing OWLCMS connection to force full reconnect...');
+	logger.info(`[WebSocket] 🔌 Closing OWLCMS connection ${describeConnection(owner)} to force full reconnect...`);
 	try {
-		activeConnection.close(1000, 'Refresh requested');
+		owner.ws.close(1000, 'Refresh requested');
 		return true;
 	} catch (err) {
 		logger.error('[WebSocket] Error closing connection:', err.message);
@@ -46,11 +114,16 @@ export function closeConnection() {
 
 /**
  * Request resources from OWLCMS
- * Called by plugins when they need resources that aren't loaded yet
+ * Called by plugins when they need resources that aren't loaded yet.
+ * The request goes to the connection that owns the hub data, not to whichever connected last.
  * @param {string[]} resources - Array of resource types to request (e.g., ['flags_zip', 'logos_zip'])
+ * @param {object} [options]
+ * @param {object} [options.hub] - Hub whose OWLCMS connection should receive the request (default: most recently initialized server)
  */
-export function requestResources(resources) {
-	if (!activeConnection || activeConnection.readyState !== 1) {
+export function requestResources(resources, { hub } = {}) {
+	const context = findContext(hub);
+	const owner = getOwnerConnection(context);
+	if (!owner) {
 		logger.warn('[WebSocket] Cannot request resources - no active OWLCMS connection');
 		return;
 	}
@@ -59,8 +132,9 @@ export function requestResources(resources) {
 		return;
 	}
 	
-	logger.info(`[WebSocket] 📦 Requesting resources from OWLCMS: ${resources.join(', ')}`);
-	activeConnection.send(JSON.stringify({
+	logger.info(`[WebSocket] 📦 Requesting resources from OWLCMS ${describeConnection(owner)}: ${resources.join(', ')}`);
+	context.hub.recordResponse?.({ status: 428 });
+	owner.ws.send(JSON.stringify({
 		status: 428,
 		message: 'Precondition Required: Plugin needs resources',
 		reason: 'plugin_preconditions',
@@ -68,6 +142,143 @@ export function requestResources(resources) {
 	}));
 }
 
+/**
+ * Readiness of a hub to serve displays
+ * Ready means database and translations loaded, no protocol error latched and an OWLCMS connection open.
+ * @param {object} [options]
+ * @param {object} [options.hub] - Hub to check (default: hub of the most recently initialized server)
+ * @returns {{ ready: boolean, reasons: Array<string>, hubReady: boolean, protocolError: object|null, owlcmsConnected: boolean, connections: number }}
+ *   reasons: 'database_missing' | 'translations_missing' | 'protocol_error' | 'owlcms_disconnected'
+ */
+export function getReadiness({ hub } = {}) {
+	const context = findContext(hub);
+	const target = hub || context?.hub;
+	if (!target) {
+		return { ready: false, reasons: ['owlcms_disconnected'], hubReady: false, protocolError: null, owlcmsConnected: false, connections: 0 };
+	}
+
+	const reasons = [];
+	const database = target.databaseState;
+	if (!(database && (database.competition || Array.isArray(database.athletes)))) {
+		reasons.push('database_missing');
+	}
+	if (!target.translationsReady) {
+		reasons.push('translations_missing');
+	}
+	const protocolError = target.getProtocolError?.() || null;
+	if (protocolError) {
+		reasons.push('protocol_error');
+	}
+	const owlcmsConnected = Boolean(getOwnerConnection(context));
+	if (!owlcmsConnected) {
+		reasons.push('owlcms_disconnected');
+	}
+	return {
+		ready: reasons.length === 0,
+		reasons,
+		hubReady: target.isReady(),
+		protocolError,
+		owlcmsConnected,
+		connections: context ? context.connections.size : 0
+	};
+}
+
+// Hub metrics followed by the WebSocket endpoint gauges
+function renderPrometheus(hub) {
+	const readiness = getReadiness({ hub });
+	const lines = [
+		'# HELP owlcms_tracker_owlcms_connections Open OWLCMS WebSocket connections',
+		'# TYPE owlcms_tracker_owlcms_connections gauge',
+		`owlcms_tracker_owlcms_connections ${readiness.connections}`,
+		'# HELP owlcms_tracker_ready Whether the tracker is ready to serve displays (see /ready)',
+		'# TYPE owlcms_tracker_ready gauge',
+		`owlcms_tracker_ready ${readiness.ready ? 1 : 0}`,
+		'# HELP owlcms_tracker_protocol_error Whether a protocol version error is latched',
+		'# TYPE owlcms_tracker_protocol_error gauge',
+		`owlcms_tracker_protocol_error ${readiness.protocolError ? 1 : 0}`
+	];
+	return hub.getPrometheusMetrics() + lines.join('\n') + '\n';
+}
+
+function sendJson(req, res, statusCode, body) {
+	const json = JSON.stringify(body);
+	res.writeHead(statusCode, {
+		'Content-Type': 'application/json; charset=utf-8',
+		'Content-Length': Buffer.byteLength(json),
+		'Cache-Control': 'no-store'
+	});
+	res.end(req.method === 'HEAD' ? undefined : json);
+}
+
+/**
+ * HTTP handler for health, readiness and metrics probes (Docker HEALTHCHECK, systemd, Kubernetes)
+ * - health: 200 while the process runs
+ * - ready: 200 when getReadiness() is ready, 503 otherwise (same JSON body)
+ * - metrics: hub.getMetrics() plus connection details, as JSON
+ * - prometheus: hub.getPrometheusMetrics() plus connection gauges, in the Prometheus text format
+ * Any path set to null is not served.
+ * @param {object} options
+ * @param {object} options.hub - Hub to report on
+ * @param {string|null} [options.healthPath='/health']
+ * @param {string|null} [options.readyPath='/ready']
+ * @param {string|null} [options.metricsPath='/metrics']
+ * @param {string|null} [options.prometheusPath='/metrics/prometheus']
+ * @returns {function(object, object): boolean} (req, res) => true when the request was answered
+ */
+export function createHealthHandler({
+	hub,
+	healthPath = '/health',
+	readyPath = '/ready',
+	metricsPath = '/metrics',
+	prometheusPath = '/metrics/prometheus'
+} = {}) {
+	if (!hub) {
+		throw new Error('createHealthHandler requires hub option');
+	}
+
+	return (req, res) => {
+		let pathname;
+		try {
+			pathname = new URL(req.url || '/', 'http://localhost').pathname;
+		} catch (error) {
+			return false; // Not one of our paths ('//', ...)
+		}
+		if (![healthPath, readyPath, metricsPath, prometheusPath].includes(pathname)) {
+			return false;
+		}
+		if (req.method !== 'GET' && req.method !== 'HEAD') {
+			res.writeHead(405, { Allow: 'GET, HEAD' });
+			res.end();
+			return true;
+		}
+
+		const timestamp = Date.now();
+		if (pathname === healthPath) {
+			sendJson(req, res, 200, { status: 'ok', uptimeSeconds: Math.round(process.uptime()), timestamp });
+		} else if (pathname === readyPath) {
+			const readiness = getReadiness({ hub });
+			sendJson(req, res, readiness.ready ? 200 : 503, { status: readiness.ready ? 'ready' : 'not_ready', ...readiness, timestamp });
+		} else if (pathname === prometheusPath) {
+			const text = renderPrometheus(hub);
+			res.writeHead(200, {
+				'Content-Type': PROMETHEUS_CONTENT_TYPE,
+				'Content-Length': Buffer.byteLength(text),
+				'Cache-Control': 'no-store'
+			});
+			res.end(req.method === 'HEAD' ? undefined : text);
+		} else {
+			sendJson(req, res, 200, {
+				...hub.getMetrics(),
+				readiness: getReadiness({ hub }),
+				connections: getConnections({ hub }),
+				uptimeSeconds: Math.round(process.uptime()),
+				timestamp
+			});
+		}
+		return true;
+	};
+}
+
 /**
  * Remove local asset directories so reconnects cannot reuse stale files.
  * This runs on every new WebSocket connection.
@@ -98,11 +309,15 @@ async function purgeLocalAssetDirs(hub) {
  * @param {object} options.hub - CompetitionHub instance to use
  * @param {string} [options.localFilesDir] - Directory for OWLCMS ZIP resources
  * @param {string} [options.localUrlPrefix='/local'] - URL prefix for local assets
+ * @param {string} [options.snapshotDir] - Directory for hub snapshots (enables restore on startup and periodic saves)
+ * @param {number} [options.snapshotIntervalMs=30000] - Interval between periodic snapshot writes
+ * @param {string} [options.journalDir] - Directory for an NDJSON journal of all inbound frames (for replay)
+ * @param {object} [options.journalOptions] - { maxBytes, maxFiles, maxInlineBinaryBytes } (see enableJournal)
  * @param {function} [options.onConnect] - Callback when client connects
  * @param {function} [options.onDisconnect] - Callback when client disconnects
  * @param {function} [options.onMessage] - Callback when message received
  * @param {function} [options.onError] - Callback on error
- * @returns {object} Handler with close() method
+ * @returns {object} Handler with close(), closeConnection(), requestResources() and getConnections() methods
  */
 export function attachWebSocketToServer(options = {}) {
 	const { 
@@ -111,6 +326,10 @@ export function attachWebSocketToServer(options = {}) {
 		hub, 
 		localFilesDir, 
 		localUrlPrefix = '/local',
+		snapshotDir,
+		snapshotIntervalMs = 30000,
+		journalDir,
+		journalOptions,
 		onConnect,
 		onDisconnect,
 		onMessage,
@@ -124,16 +343,14 @@ export function attachWebSocketToServer(options = {}) {
 		throw new Error('attachWebSocketToServer requires hub option');
 	}
 	
-	// Prevent double-attach to the same server instance
+	// Prevent double-attach to the same server instance and path
 	// This can happen when both start-with-ws.js and hooks.server.js try to attach
-	if (attachedServers.has(server)) {
-		logger.debug('[WebSocket] Server already has WebSocket attached, skipping duplicate');
-		return attachedServers.get(server);
+	const attachedPaths = attachedServers.get(server) || new Map();
+	if (attachedPaths.has(path)) {
+		logger.debug(`[WebSocket] Server already has WebSocket attached at ${path}, skipping duplicate`);
+		return attachedPaths.get(path);
 	}
 	
-	// Store injected hub instance
-	hubInstance = hub;
-	
 	// Configure hub with local assets settings
 	if (localUrlPrefix) {
 		hub.setLocalUrlPrefix({ prefix: localUrlPrefix });
@@ -141,15 +358,29 @@ export function attachWebSocketToServer(options = {}) {
 	if (localFilesDir) {
 		hub.setLocalFilesDir({ localFilesDir });
 	}
+	// Tracker-local translation overrides live under the same directory (<localFilesDir>/translations)
+	hub.loadTranslationOverrides();
+	if (snapshotDir) {
+		hub.enableSnapshots({ snapshotDir, intervalMs: snapshotIntervalMs });
+	}
+	if (journalDir) {
+		hub.enableJournal({ ...journalOptions, journalDir });
+	}
 	
 	logger.info(`[WebSocket] Attaching to server at path ${path}`);
 	logger.info(`[WebSocket] Local files directory: ${localFilesDir || 'default (./local)'}`);
 	logger.info(`[WebSocket] Local URL prefix: ${localUrlPrefix}`);
 	
-	const handler = initWebSocketServer(server, path, { onConnect, onDisconnect, onMessage, onError });
+	const handler = initWebSocketServer(server, path, hub, { onConnect, onDisconnect, onMessage, onError });
 	
-	// Mark this server as having WebSocket attached
-	attachedServers.set(server, handler);
+	// Mark this server and path as having WebSocket attached
+	attachedPaths.set(path, handler);
+	attachedServers.set(server, attachedPaths);
+	const close = handler.close;
+	handler.close = () => {
+		attachedPaths.delete(path);
+		close();
+	};
 	
 	return handler;
 }
@@ -162,6 +393,12 @@ export function attachWebSocketToServer(options = {}) {
  * @param {object} options.hub - CompetitionHub instance to use
  * @param {string} [options.localFilesDir] - Directory for OWLCMS ZIP resources
  * @param {string} [options.localUrlPrefix='/local'] - URL prefix for local assets
+ * @param {string} [options.snapshotDir] - Directory for hub snapshots (enables restore on startup and periodic saves)
+ * @param {number} [options.snapshotIntervalMs=30000] - Interval between periodic snapshot writes
+ * @param {string} [options.journalDir] - Directory for an NDJSON journal of all inbound frames (for replay)
+ * @param {object} [options.journalOptions] - { maxBytes, maxFiles, maxInlineBinaryBytes } (see enableJournal)
+ * @param {boolean|object} [options.healthEndpoints=false] - Serve /health, /ready and /metrics (see createHealthHandler);
+ *   an object sets the paths: { healthPath, readyPath, metricsPath, prometheusPath }
  * @param {function} [options.onConnect] - Callback when client connects
  * @param {function} [options.onDisconnect] - Callback when client disconnects
  * @param {function} [options.onMessage] - Callback when message received
@@ -175,6 +412,11 @@ export async function createWebSocketServer(options = {}) {
 		hub,
 		localFilesDir,
 		localUrlPrefix = '/local',
+		snapshotDir,
+		snapshotIntervalMs = 30000,
+		journalDir,
+		journalOptions,
+		healthEndpoints = false,
 		onConnect,
 		onDisconnect,
 		onMessage,
@@ -185,9 +427,6 @@ export async function createWebSocketServer(options = {}) {
 		throw new Error('createWebSocketServer requires hub option');
 	}
 	
-	// Store injected hub instance
-	hubInstance = hub;
-	
 	// Configure hub with local assets settings
 	if (localUrlPrefix) {
 		hub.setLocalUrlPrefix({ prefix: localUrlPrefix });
@@ -195,6 +434,14 @@ export async function createWebSocketServer(options = {}) {
 	if (localFilesDir) {
 		hub.setLocalFilesDir({ localFilesDir });
 	}
+	// Tracker-local translation overrides live under the same directory (<localFilesDir>/translations)
+	hub.loadTranslationOverrides();
+	if (snapshotDir) {
+		hub.enableSnapshots({ snapshotDir, intervalMs: snapshotIntervalMs });
+	}
+	if (journalDir) {
+		hub.enableJournal({ ...journalOptions, journalDir });
+	}
 	
 	logger.info(`[WebSocket] Creating standalone server on port ${port}${path}`);
 	logger.info(`[WebSocket] Local files directory: ${localFilesDir || 'default (./local)'}`);
@@ -202,7 +449,13 @@ export async function createWebSocketServer(options = {}) {
 	
 	// Create HTTP server wrapper for standalone mode
 	const http = await import('http');
+	const handleHealth = healthEndpoints
+		? createHealthHandler({ hub, ...(typeof healthEndpoints === 'object' ? healthEndpoints : {}) })
+		: null;
 	const httpServer = http.createServer((req, res) => {
+		if (handleHealth?.(req, res)) {
+			return;
+		}
 		res.writeHead(404);
 		res.end('WebSocket endpoint only');
 	});
@@ -211,9 +464,10 @@ export async function createWebSocketServer(options = {}) {
 		logger.info(`[WebSocket] Standalone server listening on port ${port}`);
 	});
 	
-	const handler = initWebSocketServer(httpServer, path, { onConnect, onDisconnect, onMessage, onError });
+	const handler = initWebSocketServer(httpServer, path, hub, { onConnect, onDisconnect, onMessage, onError });
 	
 	return {
+		...handler,
 		close: () => {
 			handler.close();
 			httpServer.close();
@@ -225,52 +479,92 @@ export async function createWebSocketServer(options = {}) {
 /**
  * Internal WebSocket server initialization
  * Used by both attach and standalone modes
+ * Each call gets its own WebSocketServer and connection state bound to the given hub
  */
-function initWebSocketServer(httpServer, wsPath = '/ws', callbacks = {}) {
-	if (wss) {
-		logger.warn('[WebSocket] Server already initialized, reusing existing instance');
-		return { close: () => wss?.close() };
+function initWebSocketServer(httpServer, wsPath = '/ws', hub, callbacks = {}) {
+	const existing = findContext(hub);
+	if (existing) {
+		logger.warn(`[WebSocket] Hub already served on ${existing.wsPath}, reusing existing instance`);
+		return existing.handler;
 	}
 	
-	wss = new WebSocketServer({ noServer: true });
+	const wss = new WebSocketServer({ noServer: true });
+	const context = { hub, wss, wsPath, connections: new Map(), ownerConnection: null, handler: null };
+	serverContexts.add(context);
+	defaultContext = context;
 	
 	// Inject requestResources callback into hub so it can request resources without circular import
-	if (hubInstance && typeof hubInstance.setRequestResourcesCallback === 'function') {
-		hubInstance.setRequestResourcesCallback(requestResources);
+	if (typeof hub.setRequestResourcesCallback === 'function') {
+		hub.setRequestResourcesCallback((resources) => requestResources(resources, { hub }));
 	}
 	
 		// Track if this is the first connection since server start
 		let firstConnectionHandled = false;
 
-		wss.on('connection', (ws) => {
-			logger.info('[WebSocket] Client connected');
+		wss.on('connection', (ws, request) => {
+			// Per-connection state; authenticated is true up front when no OWLCMS_UPDATEKEY is configured
+			const connection = {
+				id: ++connectionCounter,
+				ws,
+				remoteAddress: request?.socket?.remoteAddress || null,
+				connectedAt: Date.now(),
+				lastMessageAt: null,
+				protocolVersion: null,
+				competitionName: null,
+				authenticated: !process.env.OWLCMS_UPDATEKEY,
+				hasDatabase: false
+			};
+			const isOnlyConnection = context.connections.size === 0;
+			context.connections.set(ws, connection);
+			logger.info(`[WebSocket] Client connected ${describeConnection(connection)} (${context.connections.size} open)`);
+
 			// Start purge immediately; message handling will await completion before processing any frames
-			const purgePromise = purgeLocalAssetDirs(hubInstance);
+			// A second OWLCMS (e.g. a backup laptop) must not wipe the files the current owner delivered
+			const purgePromise = isOnlyConnection ? purgeLocalAssetDirs(hub) : null;
 			if (callbacks.onConnect) {
 				try { callbacks.onConnect(ws); } catch (e) { logger.error('[WebSocket] onConnect error:', e); }
 			}
-			activeConnection = ws; // Store active connection for sending resource requests
 
-			// Track authentication status for this connection
-			let clientAuthenticated = !process.env.OWLCMS_UPDATEKEY;
+			// Reply to OWLCMS, counting status responses in the hub metrics
+			function reply(body) {
+				if (body?.status) {
+					hub.recordResponse?.({ status: body.status });
+				}
+				ws.send(JSON.stringify(body));
+			}
 
-			// Per-connection state: track if we've received a database for this connection
-			let hasReceivedDatabase = false;
+			let notOwnerWarned = false; // Refused state frames are logged once per connection
+
+			// Called once this connection has delivered a database: it now owns the hub data
+			function claimOwnership() {
+				connection.hasDatabase = true;
+				connection.competitionName = hub.getDatabaseState?.()?.competition?.name || connection.competitionName;
+				const previousOwner = context.ownerConnection;
+				if (previousOwner !== connection) {
+					context.ownerConnection = connection;
+					logger.info(`[WebSocket] Connection ${describeConnection(connection)} now owns competition data${previousOwner ? ` (was ${describeConnection(previousOwner)})` : ''}`);
+				}
+			}
 
 				// Helper to reset hub state only on the first connection after server start
 				async function flushAndResetOnce() {
+					if (!firstConnectionHandled && hub.hasPendingSnapshot?.()) {
+						// Keep restored snapshot state; the hub discards it if the database checksum differs
+						logger.info('[WebSocket] First connection: keeping restored snapshot until database checksum is verified');
+						firstConnectionHandled = true;
+					}
 					if (!firstConnectionHandled) {
 						try {
 							// Reset the database and translations in the hub
-							hubInstance.databaseState = null;
-							hubInstance.lastDatabaseChecksum = null;
-							hubInstance.translations = {};
-							hubInstance.lastTranslationsChecksum = null;
+							hub.databaseState = null;
+							hub.lastDatabaseChecksum = null;
+							hub.translations = {};
+							hub.lastTranslationsChecksum = null;
 							// Clear flags, logos, and pictures (they will be reloaded via 428)
-							hubInstance.flagsLoaded = false;
-							hubInstance.logosLoaded = false;
-							if (hubInstance.picturesLoaded !== undefined) hubInstance.picturesLoaded = false;
-							if (hubInstance.stylesLoaded !== undefined) hubInstance.stylesLoaded = false;
+							hub.flagsLoaded = false;
+							hub.logosLoaded = false;
+							if (hub.picturesLoaded !== undefined) hub.picturesLoaded = false;
+							if (hub.stylesLoaded !== undefined) hub.stylesLoaded = false;
 							// Optionally clear any other relevant state here
 							logger.info('[WebSocket] First connection: hub state reset, flags/pictures cleared');
 						} catch (err) {
@@ -282,6 +576,7 @@ function initWebSocketServer(httpServer, wsPath = '/ws', callbacks = {}) {
 
 			// Use raw message event which provides both data and a flag for isBinary
 			ws.on('message', async (data, isBinary) => {
+				connection.lastMessageAt = Date.now();
 				// Ensure purge completes before handling any incoming frames
 				if (purgePromise) {
 					try {
@@ -296,12 +591,12 @@ function initWebSocketServer(httpServer, wsPath = '/ws', callbacks = {}) {
 			
 			// Check authentication for ALL frames (text and binary)
 			// If OWLCMS_UPDATEKEY is configured, only accept frames from authenticated clients
-			if (process.env.OWLCMS_UPDATEKEY && !clientAuthenticated) {
+			if (process.env.OWLCMS_UPDATEKEY && !connection.authenticated) {
 				// For text frames, we'll check the key below
 				// For binary frames, reject because we can't verify the key
 				if (isBinary) {
 					logger.warn('[WebSocket] ⚠️ Binary frame rejected - client not authenticated (missing updateKey from previous text frame)');
-					ws.send(JSON.stringify({ status: 401, message: 'Not authenticated. Send text frame with valid updateKey first' }));
+					reply({ status: 401, message: 'Not authenticated. Send text frame with valid updateKey first' });
 					ws.close(1008, 'Unauthorized: binary frame requires prior authentication');
 					return;
 				}
@@ -314,34 +609,28 @@ function initWebSocketServer(httpServer, wsPath = '/ws', callbacks = {}) {
 						logger.debug('[WebSocket] Binary frame received, routing to binary handler');
 					}
 					// Detect if this is a database_zip or database binary and flush/reset only on first connection
-					let typeString = null;
-					try {
-						if (data.length >= 8) {
-							const firstLength = data.readUInt32BE(0);
-							let offset = 4 + firstLength;
-							if (data.length >= offset + 4) {
-								const typeLength = data.readUInt32BE(offset);
-								offset += 4;
-								if (data.length >= offset + typeLength) {
-									typeString = data.slice(offset, offset + typeLength).toString('utf8');
-								}
-							}
-						}
-						if (!typeString && data.length >= 4) {
-							const typeLength = data.readUInt32BE(0);
-							if (data.length >= 4 + typeLength) {
-								typeString = data.slice(4, 4 + typeLength).toString('utf8');
-							}
-						}
-					} catch (peekErr) {}
-					if (typeString && (typeString === 'database_zip' || typeString === 'database')) {
+					const typeString = peekBinaryMessageType(data);
+					const isDatabaseFrame = typeString === 'database_zip' || typeString === 'database';
+					if (isDatabaseFrame) {
 						await flushAndResetOnce();
 					}
-					await handleBinaryMessage(data, hubInstance);
+					const frameStartedAt = performance.now();
+					try {
+						await handleBinaryMessage(data, hub);
+					} finally {
+						hub.recordBinaryFrame?.({
+							handler: BINARY_HANDLERS.has(typeString) ? typeString : 'other',
+							bytes: data.length,
+							durationMs: performance.now() - frameStartedAt
+						});
+					}
+					if (isDatabaseFrame && hub.getDatabaseState?.()) {
+						claimOwnership();
+					}
 					return;
 				} catch (binaryError) {
 					logger.error('[WebSocket] ERROR: Unable to process binary message:', binaryError.message);
-					ws.send(JSON.stringify({ error: `Unable to process binary message: ${binaryError.message}` }));
+					reply({ error: `Unable to process binary message: ${binaryError.message}` });
 					return;
 				}
 			}
@@ -357,7 +646,7 @@ function initWebSocketServer(httpServer, wsPath = '/ws', callbacks = {}) {
 				if (!versionCheck.valid) {
 					logger.error(`[WebSocket] ❌ Version validation failed: ${versionCheck.error}`);
 					try {
-						hubInstance?.reportProtocolError?.({
+						hub?.reportProtocolError?.({
 							reason: versionCheck.error,
 							received: versionCheck.version,
 							minimum: versionCheck.minimum,
@@ -366,7 +655,7 @@ function initWebSocketServer(httpServer, wsPath = '/ws', callbacks = {}) {
 					} catch (e) {
 						// Non-fatal: UI surfacing only
 					}
-					ws.send(JSON.stringify({
+					reply({
 						status: 400,
 						error: 'Protocol version check failed',
 						reason: versionCheck.error,
@@ -374,12 +663,13 @@ function initWebSocketServer(httpServer, wsPath = '/ws', callbacks = {}) {
 							received: versionCheck.version,
 							info: 'Please ensure OWLCMS is configured with the correct tracker WebSocket URL and is up to date'
 						}
-					}));
+					});
 					return;
 				}
 				logger.info(`[WebSocket] ✅ Protocol version validated: ${versionCheck.version}`);
+				connection.protocolVersion = versionCheck.version;
 				try {
-					hubInstance?.clearProtocolError?.();
+					hub?.clearProtocolError?.();
 				} catch (e) {
 					// Non-fatal
 				}
@@ -392,7 +682,7 @@ function initWebSocketServer(httpServer, wsPath = '/ws', callbacks = {}) {
 				}
 				
 				if (!message.type || !message.payload) {
-					ws.send(JSON.stringify({ error: 'Invalid message format. Expected {version, type, payload}' }));
+					reply({ error: 'Invalid message format. Expected {version, type, payload}' });
 					return;
 				}
 
@@ -404,17 +694,32 @@ function initWebSocketServer(httpServer, wsPath = '/ws', callbacks = {}) {
 					const incomingKey = message.payload?.updateKey || message.payload?.update_key || message.payload?.updatekey;
 					if (!incomingKey || String(incomingKey) !== String(expectedKey)) {
 						logger.warn('[WebSocket] ⚠️ Unauthorized update attempt - missing/invalid OWLCMS_UPDATEKEY');
-						ws.send(JSON.stringify({ status: 401, message: 'Access not authorized' }));
+						reply({ status: 401, message: 'Access not authorized' });
 						ws.close(1008, 'Unauthorized: invalid updateKey');
 						return;
 					}
 					// Authentication successful - mark this client as authenticated for binary frames
-					clientAuthenticated = true;
+					connection.authenticated = true;
+				}
+				if (message.payload.competitionName) {
+					connection.competitionName = message.payload.competitionName;
 				}
 				
 				const hasBundledDatabase = Object.prototype.hasOwnProperty.call(message.payload, 'database');
-				if (hasBundledDatabase) {
-					await handleDatabaseEnvelope(message.payload);
+				if (hasBundledDatabase && await handleDatabaseEnvelope(hub, message.payload)) {
+					claimOwnership();
+				}
+
+				// One OWLCMS owns the competition data; state frames from the others (e.g. a backup laptop
+				// pointed at the same tracker) are refused until one of them delivers a database
+				const owner = context.ownerConnection;
+				if (message.type !== 'database' && owner && owner !== connection && owner.ws.readyState === 1) {
+					if (!notOwnerWarned) {
+						notOwnerWarned = true;
+						logger.warn(`[WebSocket] ⚠️ Ignoring ${message.type} frames from ${describeConnection(connection)}: ${describeConnection(owner)} owns the competition data`);
+					}
+					reply({ status: 409, message: 'Another OWLCMS connection owns the competition data', reason: 'not_owner' });
+					return;
 				}
 
 				// Route based on message type
@@ -422,33 +727,33 @@ function initWebSocketServer(httpServer, wsPath = '/ws', callbacks = {}) {
 				switch (message.type) {
 					case 'database':
 						await flushAndResetOnce();
-						result = await handleDatabaseMessage(message.payload);
+						result = await handleDatabaseMessage(hub, message.payload);
+						if (result.status === 200 || result.status === 202) {
+							claimOwnership();
+						}
 						break;
 					case 'update':
-						result = await handleUpdateMessage(message.payload, hasBundledDatabase);
+						result = await handleUpdateMessage(hub, message.payload, hasBundledDatabase);
 						break;
 					case 'timer':
-						result = await handleTimerMessage(message.payload, hasBundledDatabase);
+						result = await handleTimerMessage(hub, message.payload, hasBundledDatabase);
 						break;
 					case 'decision':
-						result = await handleDecisionMessage(message.payload, hasBundledDatabase);
+						result = await handleDecisionMessage(hub, message.payload, hasBundledDatabase);
 						break;
 					default:
-						result = await handleGenericMessage(message.payload, hasBundledDatabase, message.type);
+						result = await handleGenericMessage(hub, message.payload, hasBundledDatabase, message.type);
 				}
 
-				ws.send(JSON.stringify(result));
+				reply(result);
 			} catch (error) {
 				logger.error('[WebSocket] ERROR: Unable to parse JSON text frame:', error.message);
-				ws.send(JSON.stringify({ error: `Unable to parse JSON: ${error.message}` }));
+				reply({ error: `Unable to parse JSON: ${error.message}` });
 			}
 		});
 
 		ws.on('close', () => {
-			logger.info('[WebSocket] Client disconnected');
-			if (activeConnection === ws) {
-				activeConnection = null;
-			}
+			logger.info(`[WebSocket] Client disconnected ${describeConnection(connection)}`);
 			if (callbacks.onDisconnect) {
 				try { callbacks.onDisconnect(ws); } catch (e) { logger.error('[WebSocket] onDisconnect error:', e); }
 			}
@@ -470,12 +775,22 @@ function initWebSocketServer(httpServer, wsPath = '/ws', callbacks = {}) {
 				logger.info(`[WebSocket] Client disconnected normally: code=${code}, reason="${reason}"`);
 			}
 
+			context.connections.delete(ws);
+			const wasOwner = context.ownerConnection === connection;
+			if (wasOwner) {
+				context.ownerConnection = null;
+			} else if (context.ownerConnection || context.connections.size > 0) {
+				// A secondary connection went away; the data it did not deliver stays valid
+				logger.info(`[WebSocket] Secondary OWLCMS connection ${describeConnection(connection)} closed - keeping hub state`);
+				return;
+			}
+
 			try {
-				// When the OWLCMS connection closes, force the hub into a waiting state
+				// When the authoritative OWLCMS connection closes, force the hub into a waiting state
 				// so browsers show 'Waiting for Competition Data'. This avoids stale UI
 				// when the authoritative source disconnects.
 				logger.info('[WebSocket] OWLCMS connection closed - forcing hub refresh (entering waiting state)');
-				hubInstance.refresh();
+				hub.refresh();
 			} catch (err) {
 				logger.error('[WebSocket] Error while refreshing hub state after WS close:', err?.message || err);
 			}
@@ -483,7 +798,7 @@ function initWebSocketServer(httpServer, wsPath = '/ws', callbacks = {}) {
 	});
 	
 	// Handle upgrade requests
-	httpServer.on('upgrade', (request, socket, head) => {
+	const onUpgrade = (request, socket, head) => {
 		const { pathname } = new URL(request.url, `http://${request.headers.host}`);
 		
 		const localPort = request.socket.localPort;
@@ -498,29 +813,51 @@ function initWebSocketServer(httpServer, wsPath = '/ws', callbacks = {}) {
 		wss.handleUpgrade(request, socket, head, (ws) => {
 			wss.emit('connection', ws, request);
 		});
-	});
+	};
+	httpServer.on('upgrade', onUpgrade);
 	
 	logger.info(`[WebSocket] Server initialized on ${wsPath} endpoint`);
 	
-	return {
+	let closed = false;
+	let removeDisposeHook = null;
+	context.handler = {
 		close: () => {
-			if (wss) {
-				wss.close();
-				wss = null;
-				activeConnection = null;
-				logger.info('[WebSocket] Server closed');
+			if (closed) {
+				return;
 			}
-		}
+			closed = true;
+			httpServer.removeListener('upgrade', onUpgrade);
+			for (const client of wss.clients) {
+				client.terminate();
+			}
+			wss.close();
+			context.connections.clear();
+			context.ownerConnection = null;
+			serverContexts.delete(context);
+			if (defaultContext === context) {
+				defaultContext = [...serverContexts].pop() || null;
+			}
+			removeDisposeHook?.();
+			logger.info(`[WebSocket] Server closed (${wsPath})`);
+		},
+		closeConnection: () => closeConnection({ hub }),
+		requestResources: (resources) => requestResources(resources, { hub }),
+		getConnections: () => getConnections({ hub })
 	};
+
+	// hub.dispose() detaches the WebSocket endpoint
+	removeDisposeHook = hub.addDisposeHook?.(() => context.handler.close()) || null;
+	
+	return context.handler;
 }
 
 /**
  * Sanity check after database load
  * Verifies database structure and data integrity
  */
-function verifySanityAfterDatabase() {
+function verifySanityAfterDatabase(hub) {
 	try {
-		const db = hubInstance.getDatabaseState();
+		const db = hub.getDatabaseState();
 		if (!db) {
 			logger.warn('[Sanity] ⚠️  Database state is null');
 			return false;
@@ -555,7 +892,7 @@ function verifySanityAfterDatabase() {
 /**
  * Handle database message - same payload as POST /database
  */
-async function handleDatabaseMessage(payload) {
+async function handleDatabaseMessage(hub, payload) {
         // Check if this is an empty database message (athletes array absent or empty)
         const hasAthletes = Array.isArray(payload.athletes) && payload.athletes.length > 0;
 
@@ -566,7 +903,7 @@ async function handleDatabaseMessage(payload) {
 				logger.info(`[WebSocket]   Waiting up to 5 seconds for database_zip binary frame...`);
 
                 // Store metadata and set pending state
-                const result = hubInstance.handleFullCompetitionData(payload);
+                const result = hub.handleFullCompetitionData(payload);
 
                 return {
                         status: 202,
@@ -578,13 +915,13 @@ async function handleDatabaseMessage(payload) {
         }
 
         // Full database (has athletes)
-	const result = hubInstance.handleFullCompetitionData(payload);
+	const result = hub.handleFullCompetitionData(payload);
 	
 	if (result.accepted) {
 		logger.info('[WebSocket] ✅ Full competition data accepted and loaded');
 		
 		// Run sanity check after successful database load
-		verifySanityAfterDatabase();
+		verifySanityAfterDatabase(hub);
 		
 		// OWLCMS sends translations_zip and flags_zip at socket open via startup callback
 		// Don't request them again after database is received - they will arrive independently
@@ -598,12 +935,12 @@ async function handleDatabaseMessage(payload) {
 /**
  * Handle update message - same payload as POST /update
  */
-async function handleUpdateMessage(payload, hasBundledDatabase = false) {
+async function handleUpdateMessage(hub, payload, hasBundledDatabase = false) {
 	const uiEvent = payload.uiEvent || '';
 	const isDatabaseComing = uiEvent === 'SwitchGroup' || uiEvent === 'GroupDone';
 
-	const result = hubInstance.handleOwlcmsMessage(payload, 'update');
-	const missing = hubInstance.getMissingPreconditions();
+	const result = hub.handleOwlcmsMessage(payload, 'update');
+	const missing = hub.getMissingPreconditions();
 
 	// Always check for missing preconditions and request them
 	if (missing.length > 0) {
@@ -624,15 +961,15 @@ async function handleUpdateMessage(payload, hasBundledDatabase = false) {
 		}
 	}
 
-	return mapHubResultToResponse(result, 'update');
+	return mapHubResultToResponse(hub, result, 'update');
 }
 
 /**
  * Handle timer message - same payload as POST /timer
  */
-async function handleTimerMessage(payload, hasBundledDatabase = false) {
-	const result = hubInstance.handleOwlcmsMessage(payload, 'timer');
-	const missing = hubInstance.getMissingPreconditions();
+async function handleTimerMessage(hub, payload, hasBundledDatabase = false) {
+	const result = hub.handleOwlcmsMessage(payload, 'timer');
+	const missing = hub.getMissingPreconditions();
 
 	// Request missing preconditions (database and/or translations)
 	if (missing.length > 0) {
@@ -645,15 +982,15 @@ async function handleTimerMessage(payload, hasBundledDatabase = false) {
 		};
 	}
 
-	return mapHubResultToResponse(result, 'timer');
+	return mapHubResultToResponse(hub, result, 'timer');
 }
 
 /**
  * Handle decision message - same payload as POST /decision
  */
-async function handleDecisionMessage(payload, hasBundledDatabase = false) {
-	const result = hubInstance.handleOwlcmsMessage(payload, 'decision');
-	const missing = hubInstance.getMissingPreconditions();
+async function handleDecisionMessage(hub, payload, hasBundledDatabase = false) {
+	const result = hub.handleOwlcmsMessage(payload, 'decision');
+	const missing = hub.getMissingPreconditions();
 
 	// Request missing preconditions (database and/or translations)
 	if (missing.length > 0) {
@@ -666,11 +1003,15 @@ async function handleDecisionMessage(payload, hasBundledDatabase = false) {
 		};
 	}
 
-	return mapHubResultToResponse(result, 'decision');
+	return mapHubResultToResponse(hub, result, 'decision');
 }
 
-async function handleDatabaseEnvelope(envelopePayload) {
-	if (!envelopePayload) return;
+/**
+ * Load a database bundled inside another message
+ * @returns {Promise<boolean>} true when a database was found and accepted
+ */
+async function handleDatabaseEnvelope(hub, envelopePayload) {
+	if (!envelopePayload) return false;
 	const envelopeClone = typeof envelopePayload === 'object' && envelopePayload !== null ? envelopePayload : { database: envelopePayload };
 	const embeddedDatabase = extractEmbeddedDatabase(envelopeClone);
 
@@ -679,10 +1020,10 @@ async function handleDatabaseEnvelope(envelopePayload) {
 	}
 
 	if (!embeddedDatabase.hasDatabase) {
-		return;
+		return false;
 	}
 
-	const result = hubInstance.handleFullCompetitionData(embeddedDatabase.payload);
+	const result = hub.handleFullCompetitionData(embeddedDatabase.payload);
 	if (!result?.accepted) {
 		throw new Error(result?.reason || 'Failed to process bundled database payload');
 	}
@@ -690,9 +1031,10 @@ async function handleDatabaseEnvelope(envelopePayload) {
 	if (embeddedDatabase.checksum) {
 		logger.info(`[WebSocket] Embedded database processed (checksum ${embeddedDatabase.checksum})`);
 	}
+	return true;
 }
 
-function mapHubResultToResponse(result, messageType) {
+function mapHubResultToResponse(hub, result, messageType) {
 	if (!result) {
 		return { status: 500, message: `Unable to process ${messageType}` };
 	}
@@ -706,7 +1048,7 @@ function mapHubResultToResponse(result, messageType) {
 	}
 
 	if (result.needsData) {
-		const missing = hubInstance.getMissingPreconditions();
+		const missing = hub.getMissingPreconditions();
 		return { 
 			status: 428, 
 			message: 'Precondition Required: Missing required data',
@@ -724,11 +1066,11 @@ function capitalize(value) {
 	return typeof value === 'string' && value.length > 0 ? value.charAt(0).toUpperCase() + value.slice(1) : value;
 }
 
-async function handleGenericMessage(payload, hasBundledDatabase, type) {
-	if (!hubInstance.getDatabaseState() && !hasBundledDatabase) {
+async function handleGenericMessage(hub, payload, hasBundledDatabase, type) {
+	if (!hub.getDatabaseState() && !hasBundledDatabase) {
 		logger.warn(`[WebSocket] ${type} message received but no database - requesting database`);
-		const interimResult = hubInstance.handleOwlcmsMessage(payload, type || 'generic');
-		const missing = hubInstance.getMissingPreconditions();
+		const interimResult = hub.handleOwlcmsMessage(payload, type || 'generic');
+		const missing = hub.getMissingPreconditions();
 		return {
 			status: 428,
 			message: 'Precondition Required: Missing required data',
@@ -737,8 +1079,8 @@ async function handleGenericMessage(payload, hasBundledDatabase, type) {
 		};
 	}
 
-	const result = hubInstance.handleOwlcmsMessage(payload, type || 'generic');
-	return mapHubResultToResponse(result, type || 'message');
+	const result = hub.handleOwlcmsMessage(payload, type || 'generic');
+	return mapHubResultToResponse(hub, result, type || 'message');
 }
 
 function getCaptureLabel(messageType, payload = {}) {
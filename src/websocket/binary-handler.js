@@ -99,6 +99,36 @@ async function verifySanityAfterTranslations(hub) {
 	}
 }
 
+/**
+ * Peek at the message type of a binary frame without decoding the payload
+ * Tries the version 2.0.0+ layout first, then the legacy layout.
+ * @param {Buffer} buffer - Binary frame data
+ * @returns {string|null} Message type (e.g., 'database_zip', 'flags_zip') or null if unreadable
+ */
+export function peekBinaryMessageType(buffer) {
+	let typeString = null;
+	try {
+		if (buffer.length >= 8) {
+			const firstLength = buffer.readUInt32BE(0);
+			let offset = 4 + firstLength;
+			if (buffer.length >= offset + 4) {
+				const typeLength = buffer.readUInt32BE(offset);
+				offset += 4;
+				if (buffer.length >= offset + typeLength) {
+					typeString = buffer.slice(offset, offset + typeLength).toString('utf8');
+				}
+			}
+		}
+		if (!typeString && buffer.length >= 4) {
+			const typeLength = buffer.readUInt32BE(0);
+			if (buffer.length >= 4 + typeLength) {
+				typeString = buffer.slice(4, 4 + typeLength).toString('utf8');
+			}
+		}
+	} catch (peekErr) {}
+	return typeString;
+}
+
 /**
  * Parse and route binary message from OWLCMS
  * @param {Buffer} buffer - Binary frame data
@@ -112,6 +142,9 @@ export async function handleBinaryMessage(buffer, hub) {
 		throw new Error('handleBinaryMessage requires injected hub instance');
 	}
 
+	// Journal the raw frame before decoding so replays go through the same path
+	hub.recordJournalEntry?.({ kind: 'binary', type: peekBinaryMessageType(buffer), bytes: buffer });
+
 	if (process.env.BINARY_DEBUG === 'true') {
 		logger.debug(`[BINARY] Starting operation ${operationId}`);
 	}
@@ -340,7 +373,7 @@ async function handleFlagsMessage(zipBuffer, hub) {
 		hub.setFlagsReady(true);
 
 		// Emit event for interested listeners
-		hub.emit('flags_loaded', {
+		hub.emitEvent('flags:loaded', {
 			count: extractedCount,
 			timestamp: Date.now()
 		});
@@ -392,7 +425,7 @@ async function handlePicturesMessage(zipBuffer, hub) {
 		hub.setPicturesReady(true);
 
 		// Emit event for interested listeners
-		hub.emit('pictures_loaded', {
+		hub.emitEvent('pictures:loaded', {
 			count: extractedCount,
 			timestamp: Date.now()
 		});
@@ -459,7 +492,7 @@ async function handleLogosMessage(zipBuffer, hub) {
 		hub.setLogosReady(true);
 
 		// Emit event for interested listeners
-		hub.emit('logos_loaded', {
+		hub.emitEvent('logos:loaded', {
 			count: extractedCount,
 			timestamp: Date.now()
 		});
@@ -542,7 +575,8 @@ async function handleDatabaseZipMessage(zipBuffer, hub) {
 
 		// Process through hub's handleFullCompetitionData (same as main branch)
 		// This emits database:ready and hub:ready events properly
-		const result = hub.handleFullCompetitionData(database);
+		// The binary frame itself was already journaled, so skip journaling the decoded database
+		const result = hub.handleFullCompetitionData(database, { journal: false });
 
 		const elapsed = Date.now() - startTime;
 		const ratio = isZip ? ((1 - zipBuffer.length / jsonText.length) * 100).toFixed(1) : 0;
@@ -4,6 +4,8 @@
  * Provides two modes:
  * 1. Standalone: createWebSocketServer(options) - creates its own HTTP server
  * 2. Inject: attachWebSocketToServer(options) - attaches to existing HTTP server
+ *
+ * createHealthHandler() serves /health, /ready and /metrics probes on either server.
  */
 
-export { createWebSocketServer, attachWebSocketToServer } from '../websocket-server.js';
+export { createWebSocketServer, attachWebSocketToServer, createHealthHandler, getReadiness } from '../websocket-server.js';
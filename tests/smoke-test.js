@@ -5,8 +5,13 @@
  * Run with: npm run test:core-smoke
  */
 
-import { competitionHub, EVENT_TYPES } from '../src/index.js';
-import { attachWebSocketToServer, createWebSocketServer } from '../src/websocket/index.js';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import WebSocket from 'ws';
+import { competitionHub, CompetitionHub, EVENT_TYPES, EVENT_REGISTRY, SESSION_PHASES, ReplayPlayer, readJournal, getConnections, createSseHandler, createRestHandler } from '../src/index.js';
+import { attachWebSocketToServer, createWebSocketServer, createHealthHandler, getReadiness } from '../src/websocket/index.js';
 import { 
 	getFlagUrl, 
 	buildCacheKey, 
@@ -18,9 +23,15 @@ import {
 	buildAttemptLabel,
 	inferGroupName,
 	inferBreakMessage,
-	extractCurrentAttempt
+	extractCurrentAttempt,
+	computeLiftingOrder,
+	queryAthletes,
+	normalizeSession,
+	formatMessageForLocale,
+	diffJson,
+	applyJsonPatch
 } from '../src/utils/index.js';
-import { calculateSinclair2024, calculateQPoints, calculateGamx, calculateTeamPoints } from '../src/scoring/index.js';
+import { calculateSinclair2024, calculateQPoints, calculateGamx, calculateTeamPoints, computeTeamRankings, computeMedalTable, computeCategoryRankings, computeTargets, projectStandings } from '../src/scoring/index.js';
 
 console.log('✓ Testing tracker-core public API entrypoints...\n');
 
@@ -28,27 +39,173 @@ console.log('✓ Testing tracker-core public API entrypoints...\n');
 console.log('Test 1: Hub singleton');
 console.log(`  competitionHub: ${competitionHub ? '✓' : '✗'}`);
 console.log(`  isReady(): ${competitionHub.isReady() === false ? '✓' : '✗'}`);
-console.log(`  getAvailableFOPs(): ${Array.isArray(competitionHub.getAvailableFOPs()) ? '✓' : '✗'}\n`);
+console.log(`  getAvailableFOPs(): ${Array.isArray(competitionHub.getAvailableFOPs()) ? '✓' : '✗'}`);
+console.log(`  saveSnapshot() without snapshotDir: ${competitionHub.saveSnapshot().reason === 'snapshots_disabled' ? '✓' : '✗'}`);
+console.log(`  restoreSnapshot() without snapshotDir: ${competitionHub.restoreSnapshot().restored === false ? '✓' : '✗'}`);
+const extraHub = new CompetitionHub();
+extraHub.dispose();
+const snapshotRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tracker-snapshots-'));
+const sigintListeners = process.listenerCount('SIGINT');
+const snapshotHubs = [new CompetitionHub(), new CompetitionHub(), new CompetitionHub()];
+snapshotHubs.forEach((hub, i) => hub.enableSnapshots({ snapshotDir: path.join(snapshotRoot, `hub-${i}`), intervalMs: 0 }));
+const sharedSignalListener = process.listenerCount('SIGINT') === sigintListeners + 1;
+snapshotHubs.forEach(hub => hub.dispose());
+console.log(`  enableSnapshots() shares one SIGINT listener across hubs: ${sharedSignalListener && process.listenerCount('SIGINT') === sigintListeners ? '✓' : '✗'}`);
+fs.rmSync(snapshotRoot, { recursive: true, force: true });
+console.log(`  getFopUpdateDiff() without history: ${competitionHub.getFopUpdateDiff({ fopName: 'A', sinceVersion: 0 }).full === false ? '✓' : '✗'}`);
+console.log(`  getFopUpdateDiff() from another run: ${competitionHub.getFopUpdateDiff({ fopName: 'A', sinceVersion: 0, runId: 'previous-run' }).full === true ? '✓' : '✗'}`);
+console.log(`  getBroadcastWindow() default: ${competitionHub.getBroadcastWindow({ eventType: 'LiftingOrderUpdated' }) === competitionHub.broadcastDebounceMs ? '✓' : '✗'}`);
+console.log(`  getMetrics().messagesCoalesced: ${competitionHub.getMetrics().messagesCoalesced === 0 ? '✓' : '✗'}`);
+let scopedInit = null;
+const unsubscribeScoped = competitionHub.subscribe((message) => { scopedInit = scopedInit || message; }, { fops: ['B'], types: ['timer'] });
+unsubscribeScoped();
+console.log(`  subscribe() with fops/types filters: ${scopedInit?.type === 'waiting' && competitionHub.getMetrics().activeClients === 0 ? '✓' : '✗'}`);
+console.log(`  getMetrics().subscribers: ${Array.isArray(competitionHub.getMetrics().subscribers) ? '✓' : '✗'}`);
+let overflowRejected = false;
+try { competitionHub.subscribe(() => {}, { overflow: 'block' }); } catch (e) { overflowRejected = true; }
+console.log(`  subscribe() rejects unknown overflow policy: ${overflowRejected ? '✓' : '✗'}`);
+console.log(`  getLiftLog(): ${Array.isArray(competitionHub.getLiftLog({ fopName: 'A' })) ? '✓' : '✗'}`);
+console.log(`  getSessionStatus().phase: ${competitionHub.getSessionStatus({ fopName: 'A' }).phase === SESSION_PHASES.INACTIVE ? '✓' : '✗'}`);
+const eventNames = [];
+const recordEvent = () => eventNames.push('flags:loaded');
+const recordLegacyEvent = () => eventNames.push('flags_loaded');
+competitionHub.on(EVENT_TYPES.FLAGS_LOADED, recordEvent);
+competitionHub.on('flags_loaded', recordLegacyEvent);
+competitionHub.emitEvent(EVENT_TYPES.FLAGS_LOADED, { count: 0, timestamp: Date.now() });
+competitionHub.off(EVENT_TYPES.FLAGS_LOADED, recordEvent);
+competitionHub.off('flags_loaded', recordLegacyEvent);
+console.log(`  Event registry (canonical + deprecated names): ${EVENT_REGISTRY[EVENT_TYPES.PICTURES_LOADED] && eventNames.join() === 'flags:loaded,flags_loaded' ? '✓' : '✗'}`);
+const translationHub = new CompetitionHub();
+translationHub.setTranslations('en', { Snatch: 'Snatch' });
+translationHub.setTranslationOverrides({ locale: 'en', translations: { Snatch: 'Sn.' } });
+translationHub.translate('Tracker.Missing', 'en');
+console.log(`  Translation overrides and missing keys: ${translationHub.translate('Snatch', 'en') === 'Sn.' && translationHub.getMissingTranslationKeys()[0]?.key === 'Tracker.Missing' ? '✓' : '✗'}`);
+translationHub.dispose();
+console.log(`  new CompetitionHub() is independent: ${extraHub !== competitionHub && extraHub.isDisposed() && !competitionHub.isDisposed() ? '✓' : '✗'}\n`);
 
 // Test 2: Event types
 console.log('Test 2: Event types');
 console.log(`  EVENT_TYPES.DATABASE: ${EVENT_TYPES.DATABASE === 'database' ? '✓' : '✗'}`);
 console.log(`  EVENT_TYPES.UPDATE: ${EVENT_TYPES.UPDATE === 'update' ? '✓' : '✗'}`);
 console.log(`  EVENT_TYPES.TIMER: ${EVENT_TYPES.TIMER === 'timer' ? '✓' : '✗'}`);
-console.log(`  EVENT_TYPES.DECISION: ${EVENT_TYPES.DECISION === 'decision' ? '✓' : '✗'}\n`);
+console.log(`  EVENT_TYPES.DECISION: ${EVENT_TYPES.DECISION === 'decision' ? '✓' : '✗'}`);
+console.log(`  EVENT_TYPES.SESSION_DONE: ${EVENT_TYPES.SESSION_DONE === 'session:done' ? '✓' : '✗'}\n`);
 
 // Test 3: WebSocket functions
 console.log('Test 3: WebSocket integration');
 console.log(`  attachWebSocketToServer: ${typeof attachWebSocketToServer === 'function' ? '✓' : '✗'}`);
-console.log(`  createWebSocketServer: ${typeof createWebSocketServer === 'function' ? '✓' : '✗'}\n`);
+console.log(`  createWebSocketServer: ${typeof createWebSocketServer === 'function' ? '✓' : '✗'}`);
+console.log(`  getConnections() without server: ${Array.isArray(getConnections()) && getConnections().length === 0 ? '✓' : '✗'}`);
+console.log(`  getReadiness() without OWLCMS: ${getReadiness({ hub: competitionHub }).reasons.includes('owlcms_disconnected') ? '✓' : '✗'}`);
+console.log(`  createHealthHandler ignores other paths: ${createHealthHandler({ hub: competitionHub })({ url: '/other', method: 'GET' }, null) === false ? '✓' : '✗'}`);
+// Two OWLCMS connections: once the first delivers a database, the other one's state frames are refused
+const ownerHub = new CompetitionHub();
+const ownerServer = http.createServer();
+await new Promise(resolve => ownerServer.listen(0, '127.0.0.1', resolve));
+attachWebSocketToServer({ server: ownerServer, hub: ownerHub, path: '/ws' });
+const openOwlcms = () => new Promise(resolve => {
+  const ws = new WebSocket(`ws://127.0.0.1:${ownerServer.address().port}/ws`);
+  ws.on('open', () => resolve(ws));
+});
+const sendOwlcms = (ws, type, payload) => new Promise(resolve => {
+  ws.once('message', data => resolve(JSON.parse(data)));
+  ws.send(JSON.stringify({ version: '64.0.0', type, payload }));
+});
+const primaryOwlcms = await openOwlcms();
+const backupOwlcms = await openOwlcms();
+await sendOwlcms(primaryOwlcms, 'database', { competition: { name: 'Smoke' } });
+const backupReply = await sendOwlcms(backupOwlcms, 'update', { fop: 'A', uiEvent: 'LiftingOrderUpdated' });
+const primaryReply = await sendOwlcms(primaryOwlcms, 'update', { fop: 'A', uiEvent: 'LiftingOrderUpdated' });
+console.log(`  Non-owner OWLCMS state frames refused: ${backupReply.status === 409 && primaryReply.status !== 409 ? '✓' : '✗'}`);
+primaryOwlcms.close();
+backupOwlcms.close();
+ownerHub.dispose(); // Also closes the WebSocket endpoint
+ownerServer.close();
+console.log(`  getPrometheusMetrics(): ${competitionHub.getPrometheusMetrics().includes('# TYPE owlcms_tracker_messages_received_total counter') ? '✓' : '✗'}`);
+const labelHub = new CompetitionHub();
+labelHub.handleOwlcmsMessage({ uiEvent: '<script>' }, 'bogus');
+labelHub.dispose();
+console.log(`  getPrometheusMetrics() bounded labels: ${labelHub.getPrometheusMetrics().includes('{type="other",ui_event="other"} 1') ? '✓' : '✗'}`);
+const sseHub = new CompetitionHub();
+const sseHandler = createSseHandler({ hub: sseHub });
+console.log(`  createSseHandler: ${typeof sseHandler === 'function' && sseHandler.getClients().length === 0 ? '✓' : '✗'}`);
+// Fake Node req/res: chunks written to the stream, parsed back into { id, ...message } events
+const openSseStream = (lastEventId) => {
+  const stream = { chunks: [], close: null };
+  const req = { url: '/events?fop=A', headers: lastEventId ? { 'last-event-id': lastEventId } : {}, on: (event, listener) => { stream.close = listener; } };
+  sseHandler(req, { writeHead() {}, write: (chunk) => stream.chunks.push(chunk), end() {}, writableLength: 0 });
+  stream.events = () => stream.chunks
+    .map(chunk => /^id: (\d+)\ndata: (.*)\n\n$/s.exec(chunk))
+    .filter(Boolean)
+    .map(([, id, data]) => ({ id, ...JSON.parse(data) }));
+  return stream;
+};
+const sseSettle = () => new Promise(resolve => setTimeout(resolve, 20));
+const firstStream = openSseStream();
+sseHub.broadcast({ type: 'timer', fop: 'A', timestamp: 1 });
+await sseSettle();
+const lastSeen = firstStream.events().at(-1);
+console.log(`  createSseHandler streams broadcasts: ${firstStream.events()[0]?.type === 'waiting' && lastSeen?.type === 'timer' ? '✓' : '✗'}`);
+firstStream.close();
+sseHub.broadcast({ type: 'decision', fop: 'A', timestamp: 2 });
+sseHub.broadcast({ type: 'timer', fop: 'B', timestamp: 3 });
+await sseSettle();
+const resumedEvents = openSseStream(lastSeen.id).events();
+console.log(`  createSseHandler Last-Event-ID resume: ${resumedEvents.length === 1 && resumedEvents[0].type === 'decision' && sseHandler.getClients()[0]?.resumed ? '✓' : '✗'}`);
+// More broadcasts in one tick than the subscription queue holds: replay is invalidated, browsers start over
+for (let i = 0; i < 1100; i++) {
+  sseHub.broadcast({ type: 'timer', fop: `F${i}`, timestamp: i });
+}
+await sseSettle();
+const droppedClients = sseHandler.getClients().length;
+const afterOverflow = openSseStream(lastSeen.id).events();
+console.log(`  createSseHandler overflow forces a fresh init: ${droppedClients === 0 && afterOverflow[0]?.type === 'waiting' && !sseHandler.getClients()[0]?.resumed ? '✓' : '✗'}`);
+sseHandler.close();
+sseHub.dispose();
+const restHandler = createRestHandler({ hub: competitionHub });
+console.log(`  createRestHandler ETag: ${restHandler.respond(new Request('http://localhost/api/v1/fops'))?.headers.get('ETag')?.startsWith('W/"') ? '✓' : '✗'}`);
+console.log(`  createRestHandler malformed escape: ${restHandler.respond(new Request('http://localhost/api/v1/fops/%E0%A4%A'))?.status === 400 ? '✓' : '✗'}`);
+const otherRunTag = createRestHandler({ hub: new CompetitionHub() }).respond(new Request('http://localhost/api/v1/fops/A')).headers.get('ETag');
+console.log(`  createRestHandler ETag differs per hub run: ${otherRunTag !== restHandler.respond(new Request('http://localhost/api/v1/fops/A')).headers.get('ETag') ? '✓' : '✗'}`);
+console.log(`  ReplayPlayer: ${typeof ReplayPlayer === 'function' ? '✓' : '✗'}`);
+console.log(`  readJournal: ${typeof readJournal === 'function' ? '✓' : '✗'}`);
+console.log(`  getJournalPath() when not recording: ${competitionHub.getJournalPath() === null ? '✓' : '✗'}`);
+const journalDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tracker-journal-'));
+const journalHub = new CompetitionHub();
+journalHub.enableJournal({ journalPath: path.join(journalDir, 'journal.ndjson') });
+journalHub.recordJournalEntry({ kind: 'message', type: 'update', payload: { fop: 'A', updateKey: 'secret-key', update_key: 'secret-key' } });
+await journalHub.disableJournal();
+const journalEntries = readJournal(path.join(journalDir, 'journal.ndjson'));
+console.log(`  journal omits updateKey: ${journalEntries.length === 1 && !JSON.stringify(journalEntries).includes('secret-key') ? '✓' : '✗'}`);
+journalHub.enableJournal({ journalPath: path.join(journalDir, 'frames.ndjson'), maxInlineBinaryBytes: 16 });
+journalHub.recordJournalEntry({ kind: 'binary', type: 'pictures_zip', bytes: Buffer.alloc(1024) });
+journalHub.recordJournalEntry({ kind: 'message', type: 'update', payload: { fop: 'A', database: { athletes: [] } } });
+await journalHub.disableJournal();
+const [hashedFrame, bundlingUpdate] = readJournal(path.join(journalDir, 'frames.ndjson'));
+console.log(`  journal stores large binary frames as a hash and drops bundled databases: ${hashedFrame.size === 1024 && hashedFrame.sha256?.length === 64 && !('bytes' in hashedFrame) && !('database' in bundlingUpdate.payload) ? '✓' : '✗'}`);
+journalHub.enableJournal({ journalPath: path.join(journalDir, 'rotating.ndjson'), maxBytes: 250, maxFiles: 2 });
+for (let i = 0; i < 6; i++) {
+  journalHub.recordJournalEntry({ kind: 'message', type: 'update', payload: { fop: 'A', index: i } });
+}
+await journalHub.disableJournal();
+const rotatedFiles = fs.readdirSync(journalDir).filter(name => name.startsWith('rotating')).sort();
+console.log(`  journal rotates at maxBytes and keeps maxFiles segments: ${rotatedFiles.join() === 'rotating.1.ndjson,rotating.2.ndjson' ? '✓' : '✗'}\n`);
+journalHub.dispose();
+fs.rmSync(journalDir, { recursive: true, force: true });
 
 // Test 4: Utility functions
 console.log('Test 4: Utility functions');
 console.log(`  getFlagUrl: ${typeof getFlagUrl === 'function' ? '✓' : '✗'}`);
 console.log(`  buildCacheKey: ${typeof buildCacheKey === 'function' ? '✓' : '✗'}`);
+console.log(`  buildCacheKey per hub: ${buildCacheKey({ fopName: 'A' }) !== buildCacheKey({ fopName: 'A', hub: extraHub }) ? '✓' : '✗'}`);
+console.log(`  buildCacheKey with a hub lacking getRunId: ${buildCacheKey({ fopName: 'A', hub: { getFopUpdate: () => null } }).startsWith(':A-') ? '✓' : '✗'}`);
 console.log(`  registerCache: ${typeof registerCache === 'function' ? '✓' : '✗'}`);
 console.log(`  bumpCacheEpoch: ${typeof bumpCacheEpoch === 'function' ? '✓' : '✗'}`);
-console.log(`  getCacheEpoch: ${typeof getCacheEpoch === 'function' ? '✓' : '✗'}\n`);
+console.log(`  getCacheEpoch: ${typeof getCacheEpoch === 'function' ? '✓' : '✗'}`);
+const orderBefore = ['1', '2', '3', '4', '5'].map(key => ({ key, name: `Athlete ${key}` }));
+const orderAfter = [...orderBefore.slice(1), orderBefore[0]];
+const orderPatch = diffJson(orderBefore, orderAfter);
+console.log(`  diffJson moves keyed records: ${orderPatch.length === 2 && JSON.stringify(applyJsonPatch(structuredClone(orderBefore), orderPatch)) === JSON.stringify(orderAfter) ? '✓' : '✗'}\n`);
 
 // Test 4b: Presentation helpers
 console.log('Test 4b: Presentation helpers');
@@ -59,7 +216,22 @@ console.log(`  buildSessionInfo: ${typeof buildSessionInfo === 'function' ? '✓
 console.log(`  buildAttemptLabel: ${typeof buildAttemptLabel === 'function' ? '✓' : '✗'}`);
 console.log(`  inferGroupName: ${typeof inferGroupName === 'function' ? '✓' : '✗'}`);
 console.log(`  inferBreakMessage: ${typeof inferBreakMessage === 'function' ? '✓' : '✗'}`);
-console.log(`  extractCurrentAttempt: ${typeof extractCurrentAttempt === 'function' ? '✓' : '✗'}\n`);
+console.log(`  extractCurrentAttempt: ${typeof extractCurrentAttempt === 'function' ? '✓' : '✗'}`);
+const liftingOrder = computeLiftingOrder([
+  { key: 1, startNumber: 1, snatch1Declaration: 100 },
+  { key: 2, startNumber: 2, snatch1Declaration: 98 },
+  { key: 3, startNumber: 3, snatch1Declaration: 100 }
+]);
+console.log(`  computeLiftingOrder: ${liftingOrder.map(entry => entry.athleteKey).join() === '2,1,3' ? '✓' : '✗'}`);
+const found = queryAthletes([
+  { key: 1, firstName: 'José', lastName: 'Núñez' },
+  { key: 2, firstName: 'Ann', lastName: 'Zed' }
+], { text: 'jose NUNEZ' });
+console.log(`  queryAthletes: ${found.length === 1 && found[0].key === 1 ? '✓' : '✗'}`);
+const session = normalizeSession({ name: 'M3', platform: { name: 'A' }, competitionTime: [2026, 10, 18, 14, 0] });
+console.log(`  normalizeSession: ${session.platform === 'A' && session.startTime === '2026-10-18T14:00:00' ? '✓' : '✗'}`);
+const athletesLabel = formatMessageForLocale('en', '{0,choice,0#none|1#one|1<{0,number,integer} athletes}', 1200);
+console.log(`  formatMessageForLocale: ${athletesLabel === '1,200 athletes' ? '✓' : '✗'}\n`);
 
 // Test 5: Scoring functions
 console.log('Test 5: Scoring functions');
@@ -78,7 +250,44 @@ console.log(`  calculateGamx(M, 88.5kg, 220kg): ${gamx !== undefined ? '✓' : '
 
 console.log(`  calculateTeamPoints: ${typeof calculateTeamPoints === 'function' ? '✓' : '✗'}`);
 const points = calculateTeamPoints(1, 100, true);
-console.log(`  calculateTeamPoints(Rank 1, 100kg, Member): ${points === 28 ? '✓' : '✗'} (Points: ${points})\n`);
+console.log(`  calculateTeamPoints(Rank 1, 100kg, Member): ${points === 28 ? '✓' : '✗'} (Points: ${points})`);
+const teamStandings = computeTeamRankings([
+  { key: 1, fullName: 'A', gender: 'M', teamName: 'USA', total: 220, participations: [{ totalRank: 1, teamMember: true }] },
+  { key: 2, fullName: 'B', gender: 'M', teamName: 'CAN', total: 210, participations: [{ totalRank: 2, teamMember: true }] }
+], { scoring: 'total' });
+console.log(`  computeTeamRankings(total): ${teamStandings[0]?.name === 'USA' && teamStandings[0].score === 220 ? '✓' : '✗'}`);
+const teamHub = new CompetitionHub();
+teamHub.databaseState = { athletes: [{ key: 1, fullName: 'A', gender: 'M', teamName: 'USA', total: 220, participations: [{ totalRank: 1, teamMember: true }] }] };
+const [legacyTeam] = teamHub.getTeamRankings({ scoring: 'total' });
+console.log(`  getTeamRankings() keeps totalScore/topAthletes: ${legacyTeam?.totalScore === 220 && legacyTeam.topAthletes?.length === 1 ? '✓' : '✗'}`);
+teamHub.dispose();
+const medals = computeMedalTable([
+  { key: 1, teamName: 'USA', total: 220, cleanJerk3ActualLift: 120, participations: [{ categoryCode: 'SR_M89', totalRank: 1 }, { categoryCode: 'JR_M89', totalRank: 1 }] },
+  { key: 2, teamName: 'CAN', total: 210, cleanJerk1ActualLift: 115, cleanJerk2ActualLift: -120, cleanJerk3ActualLift: null, cleanJerk3AutomaticProgression: 121, participations: [{ categoryCode: 'SR_M89', totalRank: 2 }] },
+  { key: 3, teamName: 'MEX', total: 200, cleanJerk1ActualLift: 110, cleanJerk2ActualLift: 0, cleanJerk3AutomaticProgression: 116, participations: [{ categoryCode: 'JR_M89', totalRank: 2 }] }
+]);
+console.log(`  computeMedalTable(total): ${medals.table[0]?.name === 'USA' && medals.table[0].gold === 2 && medals.categories.find(c => c.categoryCode === 'SR_M89')?.provisional ? '✓' : '✗'}`);
+console.log(`  computeMedalTable() withdrawn athlete not pending: ${medals.categories.find(c => c.categoryCode === 'JR_M89')?.provisional === false ? '✓' : '✗'}`);
+const categoryRanking = computeCategoryRankings([
+  { key: 1, categoryCode: 'SR_M89', snatch1ActualLift: 100, snatch1LiftTime: [2025, 11, 8, 13, 0, 0, 0], cleanJerk1ActualLift: 120, cleanJerk1LiftTime: [2025, 11, 8, 14, 0, 0, 0] },
+  { key: 2, categoryCode: 'SR_M89', snatch1ActualLift: 100, snatch1LiftTime: [2025, 11, 8, 10, 0, 0, 0], cleanJerk1ActualLift: 120, cleanJerk1LiftTime: [2025, 11, 8, 11, 0, 0, 0] }
+], { categoryCode: 'SR_M89' });
+console.log(`  computeCategoryRankings (first to reach wins ties): ${categoryRanking[0]?.key === 2 && categoryRanking[0].total.rank === 1 ? '✓' : '✗'}`);
+const targets = computeTargets([
+  { key: 1, categoryCode: 'SR_M89', snatch1ActualLift: 100, cleanJerk1ActualLift: 130 },
+  { key: 2, categoryCode: 'SR_M89', snatch1ActualLift: 105, cleanJerk1ActualLift: -120 }
+], { athleteKey: 2 });
+console.log(`  computeTargets (gold needs rival total + 1): ${targets?.targets.gold.cleanJerk === 126 ? '✓' : '✗'}`);
+const projection = projectStandings([
+  { key: 1, categoryCode: 'SR_M89', snatch1ActualLift: 100, cleanJerk1ActualLift: 130 },
+  { key: 2, categoryCode: 'SR_M89', snatch1Declaration: 90, cleanJerk1Declaration: 110 }
+], { categoryCode: 'SR_M89', iterations: 200 });
+console.log(`  projectStandings: ${projection.athletes[0]?.key === 1 && projection.athletes[0].probabilities.gold === 1 ? '✓' : '✗'}`);
+const withdrawnProjection = projectStandings([
+  { key: 1, categoryCode: 'SR_M89', snatch1ActualLift: 100, snatch2ActualLift: 0, snatch3Declaration: 102, cleanJerk1Declaration: 130 },
+  { key: 2, categoryCode: 'SR_M89', snatch1Declaration: 60, cleanJerk1Declaration: 80 }
+], { categoryCode: 'SR_M89', iterations: 200 });
+console.log(`  projectStandings withdrawn athlete: ${withdrawnProjection.athletes.find(a => a.key === 1)?.probabilities.noTotal === 1 ? '✓' : '✗'}\n`);
 
 console.log('✓ All smoke tests passed!\n');
 console.log('Next steps:');